@@ -1,4 +1,4 @@
-import { ParallaxScene, ParallaxLayer } from '../../src/index.js';
+import { ParallaxScene, getColorScheme, interpolateColors } from '../../src/index.js';
 
 const MODEL_PATH = '../models/parallax-chart-model.json';
 
@@ -25,7 +25,8 @@ const defaultModel = {
   parallax: {
     strength: 0.08,
     smoothing: 0.12,
-    zoom: { min: 0.7, max: 1.6, step: 0.06 }
+    zoom: { min: 0.7, max: 1.6, step: 0.06 },
+    edges: 'overscan'
   },
   layers: [
     {
@@ -33,7 +34,7 @@ const defaultModel = {
       name: 'Background Glow',
       depth: 0.35,
       opacity: 0.4,
-      scale: 1.08,
+      scale: 1,
       tint: '#1a45ff',
       tintOpacity: 0.35,
       blendMode: 'screen',
@@ -60,7 +61,7 @@ const defaultModel = {
       name: 'Foreground Highlights',
       depth: 1.45,
       opacity: 0.85,
-      scale: 1.12,
+      scale: 1,
       tint: '#ff8737',
       tintOpacity: 0.2,
       blendMode: 'screen',
@@ -102,8 +103,7 @@ const state = {
   parallaxStrength: 0.08,
   zoom: 1,
   parallaxScene: null,
-  snapshotCanvas: null,
-  layerInstances: new Map()
+  snapshotCanvas: null
 };
 
 const refs = {
@@ -148,7 +148,6 @@ function bindEvents() {
   refs.layerList.addEventListener('change', handleLayerInput);
   refs.layerList.addEventListener('click', handleLayerClick);
   refs.addLayer.addEventListener('click', handleAddLayer);
-  refs.parallaxMount.addEventListener('wheel', handleZoomWheel, { passive: false });
 }
 
 async function loadModel() {
@@ -501,48 +500,55 @@ function buildParallaxLayers() {
     return;
   }
 
-  refs.parallaxMount.textContent = '';
   const ratio = state.snapshotCanvas.width / state.snapshotCanvas.height;
   refs.parallaxMount.style.setProperty('--chart-ratio', ratio.toFixed(3));
 
+  const model = buildSceneModel();
+  const options = { resolveImageSource: renderLayerSnapshot };
+
   if (!state.parallaxScene) {
-    state.parallaxScene = new ParallaxScene(refs.parallaxMount, {
-      parallaxStrength: state.parallaxStrength,
-      smoothing: state.model?.parallax?.smoothing ?? 0.1
-    });
+    refs.parallaxMount.textContent = '';
+    state.parallaxScene = ParallaxScene.fromJSON(refs.parallaxMount, model, options);
+    state.parallaxScene.on('navigate', handleNavigate);
   } else {
-    state.parallaxScene.clear();
-    state.parallaxScene.setParallaxStrength(state.parallaxStrength);
+    state.parallaxScene.loadJSON(model, options);
   }
+}
 
-  state.layerInstances.clear();
-
-  state.layers.forEach(layerConfig => {
-    const layerElement = document.createElement('div');
-    layerElement.className = 'chart-layer';
-    layerElement.style.mixBlendMode = layerConfig.blendMode || 'normal';
-    layerElement.style.filter = layerConfig.blur ? `blur(${layerConfig.blur}px)` : 'none';
+function buildSceneModel() {
+  return {
+    ...state.model,
+    parallax: {
+      zoom: { min: 0.7, max: 1.6, step: 0.05 },
+      edges: 'overscan',
+      ...state.model?.parallax,
+      strength: state.parallaxStrength
+    },
+    layers: state.layers.map(layer => ({
+      ...layer,
+      imageSource: { type: 'canvasSnapshot' }
+    }))
+  };
+}
 
-    const canvas = document.createElement('canvas');
-    canvas.width = state.snapshotCanvas.width;
-    canvas.height = state.snapshotCanvas.height;
+function renderLayerSnapshot(imageSource, layerConfig) {
+  if (imageSource.type !== 'canvasSnapshot') {
+    return null;
+  }
 
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(state.snapshotCanvas, 0, 0);
-    applyTint(ctx, layerConfig.tint, layerConfig.tintOpacity, canvas.width, canvas.height);
+  const layerElement = document.createElement('div');
+  layerElement.className = 'chart-layer';
 
-    layerElement.appendChild(canvas);
+  const canvas = document.createElement('canvas');
+  canvas.width = state.snapshotCanvas.width;
+  canvas.height = state.snapshotCanvas.height;
 
-    const layer = new ParallaxLayer({
-      depth: layerConfig.depth,
-      opacity: layerConfig.opacity,
-      scale: (layerConfig.scale || 1) * state.zoom,
-      element: layerElement
-    });
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(state.snapshotCanvas, 0, 0);
+  applyTint(ctx, layerConfig.tint, layerConfig.tintOpacity, canvas.width, canvas.height);
 
-    state.parallaxScene.addLayer(layer);
-    state.layerInstances.set(layerConfig.id, layer);
-  });
+  layerElement.appendChild(canvas);
+  return layerElement;
 }
 
 function handleParallaxInput(event) {
@@ -557,25 +563,9 @@ function handleParallaxInput(event) {
   updateJsonPreview();
 }
 
-function handleZoomWheel(event) {
-  if (!state.snapshotCanvas) {
-    return;
-  }
-  event.preventDefault();
-
-  const zoomConfig = state.model?.parallax?.zoom || { min: 0.7, max: 1.6, step: 0.05 };
-  const direction = event.deltaY > 0 ? -1 : 1;
-  state.zoom = clampNumber(state.zoom + direction * zoomConfig.step, zoomConfig.min, zoomConfig.max);
+function handleNavigate(event) {
+  state.zoom = event.zoom;
   updateZoomLabel();
-  applyZoom();
-}
-
-function applyZoom() {
-  state.layerInstances.forEach((layer, id) => {
-    const modelLayer = state.layers.find(item => item.id === id);
-    const baseScale = modelLayer?.scale || 1;
-    layer.scale = baseScale * state.zoom;
-  });
 }
 
 function handleLayerInput(event) {
@@ -612,8 +602,43 @@ function handleLayerInput(event) {
   updateJsonPreview();
 
   if (VISUAL_FIELDS.has(field)) {
+    updateParallaxLayer(layer, field);
+  }
+}
+
+function updateParallaxLayer(layerConfig, field) {
+  const layer = state.parallaxScene?.getLayerById(layerConfig.id);
+  if (!layer) {
     buildParallaxLayers();
+    return;
+  }
+
+  Object.assign(layer.metadata, layerConfig);
+
+  if (field === 'depth') {
+    layer.setDepth(layerConfig.depth);
+  } else if (field === 'tint' || field === 'tintOpacity') {
+    const content = renderLayerSnapshot({ type: 'canvasSnapshot' }, layerConfig);
+    layer.element.replaceChildren(content);
+  } else {
+    layer.setStyle({
+      opacity: layerConfig.opacity,
+      scale: layerConfig.scale,
+      blur: layerConfig.blur,
+      blendMode: layerConfig.blendMode
+    });
+  }
+}
+
+function addParallaxLayer(layerConfig) {
+  if (!state.parallaxScene) {
+    return;
   }
+  const layer = ParallaxScene.createLayer(
+    { ...layerConfig, imageSource: { type: 'canvasSnapshot' } },
+    { resolveImageSource: renderLayerSnapshot }
+  );
+  state.parallaxScene.addLayer(layer);
 }
 
 function handleLayerClick(event) {
@@ -629,7 +654,11 @@ function handleLayerClick(event) {
   state.layers = state.layers.filter(layer => layer.id !== layerId);
   renderLayerControls();
   updateJsonPreview();
-  buildParallaxLayers();
+
+  const layer = state.parallaxScene?.getLayerById(layerId);
+  if (layer) {
+    state.parallaxScene.removeLayer(layer);
+  }
 }
 
 function handleAddLayer() {
@@ -651,7 +680,7 @@ function handleAddLayer() {
   state.layers.push(next);
   renderLayerControls();
   updateJsonPreview();
-  buildParallaxLayers();
+  addParallaxLayer(next);
 }
 
 function updateLayerValue(wrapper, layer) {
@@ -714,12 +743,22 @@ function computeDomain(field) {
 }
 
 function computeColor(row) {
-  const field = state.model?.encoding?.color?.field;
-  if (!field || typeof row[field] !== 'number') {
+  const encoding = state.model?.encoding?.color;
+  const field = encoding?.field;
+  if (!field || row[field] === undefined || row[field] === null || row[field] === '') {
     return 'rgba(86, 208, 182, 0.9)';
   }
-  const scale = state.model?.encoding?.color?.scale || computeDomain(field);
+  if (typeof row[field] !== 'number') {
+    // Categories take palette colors in the order they first appear in the table
+    const colors = getColorScheme(encoding.scheme || 'tableau10').colors;
+    const categories = [...new Set(state.rows.map(item => item[field]))];
+    return colors[categories.indexOf(row[field]) % colors.length];
+  }
+  const scale = encoding.scale || computeDomain(field);
   const normalized = (row[field] - scale.min) / (scale.max - scale.min || 1);
+  if (encoding.scheme) {
+    return interpolateColors(getColorScheme(encoding.scheme).colors)(normalized);
+  }
   const hue = clampNumber(190 - normalized * 160, 20, 210);
   return `hsla(${hue}, 70%, 60%, 0.95)`;
 }
@@ -771,7 +810,7 @@ function buildDefaultLayers() {
       name: 'Background Glow',
       depth: 0.35,
       opacity: 0.4,
-      scale: 1.08,
+      scale: 1,
       tint: '#1a45ff',
       tintOpacity: 0.35,
       blendMode: 'screen',
@@ -797,7 +836,7 @@ function buildDefaultLayers() {
       name: 'Foreground Highlights',
       depth: 1.45,
       opacity: 0.85,
-      scale: 1.12,
+      scale: 1,
       tint: '#ff8737',
       tintOpacity: 0.2,
       blendMode: 'screen',
@@ -0,0 +1,215 @@
+/**
+ * AxisLayer - Axes, ticks, gridlines and titles for a DataLayer
+ * Reads the x and y scales of its source layer and redraws whenever the
+ * source renders. As a layer of its own it can sit at any depth, e.g.
+ * behind the data it describes.
+ */
+import ParallaxLayer from './ParallaxLayer.js';
+
+// Per-axis defaults; position is 'bottom'/'top' for x and 'left'/'right' for y
+const AXIS_DEFAULTS = {
+  x: { position: 'bottom', ticks: 5, grid: false, title: '', format: null },
+  y: { position: 'left', ticks: 5, grid: true, title: '', format: null }
+};
+
+const TICK_SIZE = 6; // px
+
+class AxisLayer extends ParallaxLayer {
+  constructor(options = {}) {
+    super(options);
+    this.element.classList.add('parallax-axis-layer');
+    
+    // false hides an axis; objects override AXIS_DEFAULTS
+    this.axes = {};
+    ['x', 'y'].forEach(axis => {
+      this.axes[axis] = options[axis] === false ? null : { ...AXIS_DEFAULTS[axis], ...options[axis] };
+    });
+    
+    this.source = null;
+    this.sourceId = null;
+    this.handleSourceRender = () => this.render();
+    this.handleLayerAdd = () => this.resolveSource();
+    
+    this.on('add', () => this.resolveSource());
+    if (options.source) {
+      this.setSource(options.source);
+    }
+  }
+  
+  /**
+   * Follow a DataLayer, given directly or by id
+   */
+  setSource(source) {
+    if (this.source) {
+      this.source.off('render', this.handleSourceRender);
+      this.source = null;
+    }
+    
+    if (typeof source === 'string') {
+      this.sourceId = source;
+      this.resolveSource();
+    } else {
+      this.sourceId = source ? source.id : null;
+      this.source = source || null;
+      if (this.source) {
+        this.source.on('render', this.handleSourceRender);
+      }
+      this.render();
+    }
+  }
+  
+  /**
+   * Look the source up by id once it has been added to the scene
+   */
+  resolveSource() {
+    if (this.source || !this.sourceId) return;
+    
+    const scene = this.getScene();
+    if (!scene) return;
+    const source = scene.getLayerById(this.sourceId);
+    if (source) {
+      scene.off('layeradd', this.handleLayerAdd);
+      this.setSource(source);
+    } else {
+      scene.off('layeradd', this.handleLayerAdd);
+      scene.on('layeradd', this.handleLayerAdd);
+    }
+  }
+  
+  /**
+   * Change an axis's options, or pass false to hide it
+   */
+  setAxis(axis, options) {
+    this.axes[axis] = options === false ? null : { ...(this.axes[axis] || AXIS_DEFAULTS[axis]), ...options };
+    this.render();
+  }
+  
+  /**
+   * Redraw every axis from the source's current scales
+   */
+  render() {
+    this.element.replaceChildren();
+    if (!this.source || !this.source.getScale) return;
+    
+    ['x', 'y'].forEach(axis => {
+      const scale = this.source.getScale(axis);
+      if (this.axes[axis] && scale) {
+        this.renderAxis(axis, scale, this.axes[axis]);
+      }
+    });
+    this.requestRender();
+  }
+  
+  renderAxis(axis, scale, options) {
+    const horizontal = axis === 'x';
+    const far = options.position === 'top' || options.position === 'right';
+    const edge = far ? '0%' : '100%';
+    const offset = horizontal ? (far ? 0 : 100) : (far ? 100 : 0);
+    const group = createPart(`parallax-axis parallax-axis-${axis}`);
+    Object.assign(group.style, { top: '0', left: '0', width: '100%', height: '100%' });
+    
+    // Axis line along the layer edge
+    const line = createPart('parallax-axis-line');
+    if (horizontal) {
+      Object.assign(line.style, { left: '0', width: '100%', top: edge, height: '1px' });
+    } else {
+      Object.assign(line.style, { top: '0', height: '100%', left: `${offset}%`, width: '1px' });
+    }
+    group.appendChild(line);
+    
+    const format = options.format || scale.tickFormat(options.ticks);
+    const ticks = options.values || scale.ticks(options.ticks);
+    ticks.forEach(value => {
+      const position = scale(value) + scale.bandwidth() / 2;
+      if (!isFinite(position)) return;
+      
+      if (options.grid) {
+        const grid = createPart('parallax-axis-grid');
+        if (horizontal) {
+          Object.assign(grid.style, { left: `${position}%`, top: '0', height: '100%', width: '1px' });
+        } else {
+          Object.assign(grid.style, { top: `${position}%`, left: '0', width: '100%', height: '1px' });
+        }
+        group.appendChild(grid);
+      }
+      
+      const tick = createPart('parallax-axis-tick');
+      const label = createPart('parallax-axis-label');
+      label.textContent = format(value);
+      if (horizontal) {
+        Object.assign(tick.style, { left: `${position}%`, top: edge, width: '1px', height: `${TICK_SIZE}px` });
+        tick.style.transform = far ? 'translateY(-100%)' : '';
+        Object.assign(label.style, { left: `${position}%`, top: edge });
+        label.style.transform = far
+          ? `translate(-50%, calc(-100% - ${TICK_SIZE + 2}px))`
+          : `translate(-50%, ${TICK_SIZE + 2}px)`;
+      } else {
+        Object.assign(tick.style, { top: `${position}%`, left: `${offset}%`, height: '1px', width: `${TICK_SIZE}px` });
+        tick.style.transform = far ? '' : 'translateX(-100%)';
+        Object.assign(label.style, { top: `${position}%`, left: `${offset}%` });
+        label.style.transform = far
+          ? `translate(${TICK_SIZE + 2}px, -50%)`
+          : `translate(calc(-100% - ${TICK_SIZE + 2}px), -50%)`;
+      }
+      group.appendChild(tick);
+      group.appendChild(label);
+    });
+    
+    if (options.title) {
+      const title = createPart('parallax-axis-title');
+      title.textContent = options.title;
+      if (horizontal) {
+        Object.assign(title.style, { left: '50%', top: edge });
+        title.style.transform = far ? 'translate(-50%, calc(-100% - 28px))' : 'translate(-50%, 28px)';
+      } else {
+        Object.assign(title.style, { top: '50%', left: `${offset}%` });
+        title.style.transform = far
+          ? 'translate(48px, -50%) rotate(90deg)'
+          : 'translate(calc(-100% - 48px), -50%) rotate(-90deg)';
+      }
+      group.appendChild(title);
+    }
+    
+    this.element.appendChild(group);
+  }
+  
+  /**
+   * Serialize; custom format functions are not serialized
+   */
+  toJSON() {
+    const axes = {};
+    ['x', 'y'].forEach(axis => {
+      if (!this.axes[axis]) {
+        axes[axis] = false;
+        return;
+      }
+      const { format, ...options } = this.axes[axis];
+      axes[axis] = options;
+    });
+    return {
+      ...super.toJSON(),
+      type: 'axis',
+      source: this.sourceId,
+      ...axes
+    };
+  }
+  
+  static optionsFromJSON(json, context) {
+    return {
+      ...super.optionsFromJSON(json, context),
+      source: json.source,
+      x: json.x,
+      y: json.y
+    };
+  }
+}
+
+function createPart(className) {
+  const part = document.createElement('div');
+  part.className = className;
+  part.style.position = 'absolute';
+  part.style.pointerEvents = 'none';
+  return part;
+}
+
+export default AxisLayer;
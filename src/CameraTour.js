@@ -0,0 +1,175 @@
+/**
+ * CameraTour - Plays a sequence of camera keyframes on a ParallaxScene
+ * Each keyframe moves the camera, optionally shows a caption, then holds
+ * before moving on. Used for guided data-storytelling walkthroughs.
+ */
+class CameraTour {
+  constructor(scene, keyframes = [], options = {}) {
+    this.scene = scene;
+    this.keyframes = keyframes;
+    this.loop = options.loop || false;
+    this.lockInput = options.lockInput !== false; // Ignore user input while playing
+    this.showCaptions = options.showCaptions !== false;
+    
+    // Callbacks
+    this.onStep = options.onStep || null;         // (index, keyframe) when a keyframe starts
+    this.onProgress = options.onProgress || null; // (progress, index) overall 0-1
+    this.onComplete = options.onComplete || null;
+    
+    this.index = -1;
+    this.playing = false;
+    this.holdTimer = null;
+    this.holdResolve = null;
+    this.captionElement = null;
+    this.wasLocked = null; // Scene's input lock before playing, until handed back
+  }
+  
+  /**
+   * Play the tour from the first keyframe
+   * Resolves true when the tour finishes, false if it was stopped
+   */
+  async play() {
+    if (this.playing) {
+      this.stop();
+    }
+    
+    this.playing = true;
+    this.wasLocked = this.scene.inputLocked;
+    if (this.lockInput) {
+      this.scene.inputLocked = true;
+    }
+    
+    let completed = true;
+    do {
+      for (let i = 0; i < this.keyframes.length; i++) {
+        if (!(await this.playKeyframe(i))) {
+          completed = false;
+          break;
+        }
+      }
+    } while (completed && this.loop && this.playing);
+    
+    this.releaseInput();
+    this.playing = false;
+    this.hideCaption();
+    
+    if (completed && this.onComplete) {
+      this.onComplete();
+    }
+    this.scene.emit('tourend', { tour: this, completed });
+    return completed;
+  }
+  
+  /**
+   * Move to a keyframe, show its caption and wait out its hold
+   */
+  async playKeyframe(index) {
+    const keyframe = this.keyframes[index];
+    const count = this.keyframes.length;
+    this.index = index;
+    
+    if (this.onStep) {
+      this.onStep(index, keyframe);
+    }
+    this.scene.emit('tourstep', { tour: this, index, keyframe });
+    this.showCaption(keyframe.caption);
+    
+    if (keyframe.focusDepth !== undefined) {
+      this.scene.setFocusDepth(keyframe.focusDepth, {
+        duration: keyframe.duration,
+        easing: keyframe.easing
+      });
+    }
+    
+    const arrived = await this.scene.animateCamera(keyframe, {
+      duration: keyframe.duration,
+      easing: keyframe.easing,
+      onUpdate: t => this.reportProgress((index + t) / count, index)
+    });
+    if (!arrived || !this.playing) return false;
+    
+    if (keyframe.hold > 0) {
+      const held = await this.wait(keyframe.hold);
+      if (!held) return false;
+    }
+    
+    this.reportProgress((index + 1) / count, index);
+    return true;
+  }
+  
+  reportProgress(progress, index) {
+    if (this.onProgress) {
+      this.onProgress(progress, index);
+    }
+    this.scene.emit('tourprogress', { tour: this, progress, index });
+  }
+  
+  /**
+   * Wait for a hold; resolves false if the tour is stopped meanwhile
+   */
+  wait(duration) {
+    return new Promise(resolve => {
+      this.holdResolve = resolve;
+      this.holdTimer = this.scene.clock.setTimeout(() => {
+        this.holdTimer = null;
+        this.holdResolve = null;
+        resolve(true);
+      }, duration);
+    });
+  }
+  
+  /**
+   * Stop the tour where it is
+   */
+  stop() {
+    if (!this.playing) return;
+    this.playing = false;
+    
+    if (this.holdTimer) {
+      this.scene.clock.clearTimeout(this.holdTimer);
+      this.holdTimer = null;
+    }
+    if (this.holdResolve) {
+      this.holdResolve(false);
+      this.holdResolve = null;
+    }
+    this.releaseInput();
+    this.scene.stopCamera();
+  }
+  
+  /**
+   * Hand the scene's input lock back as it was before playing
+   * Done as soon as the tour stops, so a tour replacing this one starts
+   * from the scene's own lock state rather than this tour's
+   */
+  releaseInput() {
+    if (this.wasLocked === null) return;
+    this.scene.inputLocked = this.wasLocked;
+    this.wasLocked = null;
+  }
+  
+  showCaption(text) {
+    if (!this.showCaptions) return;
+    if (!text) {
+      this.hideCaption();
+      return;
+    }
+    
+    if (!this.captionElement) {
+      this.captionElement = document.createElement('div');
+      this.captionElement.className = 'parallax-caption';
+      this.captionElement.setAttribute('role', 'status');
+      this.captionElement.setAttribute('aria-live', 'polite');
+    }
+    this.captionElement.textContent = text;
+    this.scene.container.appendChild(this.captionElement);
+  }
+  
+  hideCaption() {
+    if (this.captionElement && this.captionElement.parentNode) {
+      this.captionElement.parentNode.removeChild(this.captionElement);
+    }
+  }
+}
+
+export default CameraTour;
@@ -0,0 +1,419 @@
+/**
+ * CanvasRenderer - Draws a DataLayer's marks into a single canvas
+ * Replaces one element per record for large datasets. Marks keep the
+ * layer's encodings; a grid index over the drawn marks answers hit tests
+ * so hover and clicks still emit the layer's point events for tooltips
+ * and selection.
+ */
+import { containsPoint } from './geometry.js';
+
+const CELL_SIZE = 32;      // px per spatial index cell
+const HOVER_SCALE = 1.5;   // Matches the DOM marks' hover effect
+const STROKE_SLOP = 3;     // px of tolerance around lines
+const SELECTED_OUTLINE = '#ffffff';
+
+class CanvasRenderer {
+  constructor(layer) {
+    this.layer = layer;
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'data-canvas';
+    Object.assign(this.canvas.style, {
+      position: 'absolute',
+      left: '0',
+      top: '0',
+      width: '100%',
+      height: '100%',
+      pointerEvents: 'none' // Hit testing happens on the scene container
+    });
+    this.context = null;
+    
+    this.width = 0;
+    this.height = 0;
+    this.ratio = 1;
+    this.grid = new Map();   // 'column,row' -> point marks overlapping the cell
+    this.hovered = null;     // Data point under the pointer
+    this.images = new Map(); // Icon URL -> Image
+    this.revision = 0;
+    
+    this.target = null; // Element the pointer listeners are on
+    this.handlePointerMove = event => this.updateHover(event);
+    this.handlePointerLeave = event => this.setHovered(null, event);
+    this.handleClick = event => {
+      const point = this.hitTest(event.clientX, event.clientY);
+      if (point) {
+        this.emit('pointclick', point, event);
+      }
+    };
+    this.handleAdd = () => this.listen();
+    this.resizeObserver = null;
+  }
+  
+  attach() {
+    this.layer.element.appendChild(this.canvas);
+    this.context = this.canvas.getContext ? this.canvas.getContext('2d') : null;
+    this.layer.on('add', this.handleAdd);
+    this.listen();
+    
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(() => this.draw());
+      this.resizeObserver.observe(this.layer.element);
+    }
+  }
+  
+  /**
+   * Move the pointer listeners to the container of the layer's scene
+   */
+  listen() {
+    const scene = this.layer.getScene();
+    const target = scene ? scene.container : null;
+    if (target === this.target) return;
+    
+    this.unlisten();
+    if (target) {
+      target.addEventListener('pointermove', this.handlePointerMove);
+      target.addEventListener('pointerleave', this.handlePointerLeave);
+      target.addEventListener('click', this.handleClick);
+      this.target = target;
+    }
+  }
+  
+  unlisten() {
+    if (!this.target) return;
+    this.target.removeEventListener('pointermove', this.handlePointerMove);
+    this.target.removeEventListener('pointerleave', this.handlePointerLeave);
+    this.target.removeEventListener('click', this.handleClick);
+    this.target = null;
+  }
+  
+  /**
+   * Match the backing store to the layer's size at the device pixel ratio
+   */
+  resize() {
+    const ratio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    const width = this.layer.element.offsetWidth;
+    const height = this.layer.element.offsetHeight;
+    if (width === this.width && height === this.height && ratio === this.ratio) return;
+    
+    this.width = width;
+    this.height = height;
+    this.ratio = ratio;
+    this.canvas.width = Math.round(width * ratio);
+    this.canvas.height = Math.round(height * ratio);
+  }
+  
+  /**
+   * Redraw every visible mark and rebuild the spatial index
+   */
+  draw() {
+    this.listen();
+    this.resize();
+    this.grid.clear();
+    if (this.hovered && this.layer.dataPoints.indexOf(this.hovered) === -1) {
+      this.hovered = null; // Replaced by a new render
+    }
+    
+    const context = this.context;
+    if (context) {
+      context.setTransform(this.ratio, 0, 0, this.ratio, 0, 0);
+      context.clearRect(0, 0, this.width, this.height);
+    }
+    
+    const series = this.layer.isSeriesType();
+    this.layer.dataPoints.forEach(point => {
+      if (!this.isVisible(point)) return;
+      if (series) {
+        this.drawSeries(point);
+        return;
+      }
+      this.indexPoint(point);
+      if (point !== this.hovered) {
+        this.drawMark(point, 1);
+      }
+    });
+    
+    // The hovered mark is enlarged and drawn on top
+    if (this.hovered && !series && this.isVisible(this.hovered)) {
+      this.drawMark(this.hovered, HOVER_SCALE);
+    }
+    if (context) {
+      context.globalAlpha = 1;
+    }
+    
+    // Lets mirrored copies (stereo, edge mirroring) know the pixels changed
+    this.revision += 1;
+    this.canvas.dataset.revision = String(this.revision);
+  }
+  
+  isVisible(point) {
+    const filter = this.layer.pointFilter;
+    if (!filter) return true;
+    return Array.isArray(point.data) ? point.data.some(filter) : filter(point.data);
+  }
+  
+  /**
+   * Apply a point's selection state: dimmed marks fade, selected ones get an outline
+   */
+  applySelection(point) {
+    const state = this.layer.getSelectionState(point.data);
+    const style = this.layer.selectionStyle;
+    this.context.globalAlpha = state === 'dimmed' && style ? style.dimOpacity : 1;
+    return state === 'selected';
+  }
+  
+  drawMark(point, scale) {
+    const context = this.context;
+    if (!context) return;
+    
+    const visual = point.visual;
+    const selected = this.applySelection(point);
+    const x = visual.x / 100 * this.width;
+    const y = visual.y / 100 * this.height;
+    const size = visual.size * scale;
+    const half = size / 2;
+    context.fillStyle = visual.color;
+    
+    switch (this.layer.visualType) {
+      case 'text':
+        context.font = `${size}px Arial, sans-serif`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(visual.text, x, y);
+        break;
+      case 'icon': {
+        const image = this.getImage(visual.icon);
+        if (image && image.complete && image.naturalWidth) {
+          context.drawImage(image, x - half, y - half, size, size);
+        }
+        break;
+      }
+      case 'rectangle':
+        context.fillRect(x - half, y - half, size, size);
+        break;
+      case 'diamond':
+        context.beginPath();
+        context.moveTo(x, y - half * Math.SQRT2);
+        context.lineTo(x + half * Math.SQRT2, y);
+        context.lineTo(x, y + half * Math.SQRT2);
+        context.lineTo(x - half * Math.SQRT2, y);
+        context.closePath();
+        context.fill();
+        break;
+      default:
+        context.beginPath();
+        context.arc(x, y, half, 0, Math.PI * 2);
+        context.fill();
+    }
+    
+    if (selected) {
+      context.lineWidth = 2;
+      context.strokeStyle = SELECTED_OUTLINE;
+      if (this.layer.visualType === 'rectangle' || this.layer.visualType === 'icon') {
+        context.strokeRect(x - half, y - half, size, size);
+      } else if (this.layer.visualType !== 'text') {
+        context.stroke();
+      }
+    }
+  }
+  
+  drawSeries(point) {
+    const context = this.context;
+    if (!context) return;
+    
+    const visual = point.visual;
+    const selected = this.applySelection(point);
+    const alpha = context.globalAlpha;
+    const type = this.layer.visualType;
+    context.beginPath();
+    this.toPixels(visual).forEach(([x, y], index) => {
+      if (index === 0) {
+        context.moveTo(x, y);
+      } else {
+        context.lineTo(x, y);
+      }
+    });
+    if (type === 'area' || type === 'polygon') {
+      context.closePath();
+      context.globalAlpha = alpha * this.layer.fillOpacity;
+      context.fillStyle = visual.color;
+      context.fill();
+      context.globalAlpha = alpha;
+    }
+    context.lineWidth = this.layer.strokeWidth * (selected ? 2 : 1);
+    context.lineJoin = 'round';
+    context.lineCap = 'round';
+    context.strokeStyle = visual.color;
+    context.stroke();
+  }
+  
+  /**
+   * A series' vertices in px; areas gain their two baseline corners
+   */
+  toPixels(visual) {
+    const points = visual.points.map(([x, y]) => [x / 100 * this.width, y / 100 * this.height]);
+    if (this.layer.visualType === 'area' && points.length > 0) {
+      const baseline = visual.baseline / 100 * this.height;
+      points.push([points[points.length - 1][0], baseline], [points[0][0], baseline]);
+    }
+    return points;
+  }
+  
+  getImage(url) {
+    if (!url || typeof Image === 'undefined') return null;
+    if (!this.images.has(url)) {
+      const image = new Image();
+      image.onload = () => this.draw();
+      image.src = url;
+      this.images.set(url, image);
+    }
+    return this.images.get(url);
+  }
+  
+  /**
+   * Add a point mark's box to every grid cell it overlaps
+   */
+  indexPoint(point) {
+    const box = this.getBox(point.visual);
+    point.box = box;
+    for (let column = Math.floor(box.left / CELL_SIZE); column <= Math.floor(box.right / CELL_SIZE); column++) {
+      for (let row = Math.floor(box.top / CELL_SIZE); row <= Math.floor(box.bottom / CELL_SIZE); row++) {
+        const cell = `${column},${row}`;
+        if (!this.grid.has(cell)) {
+          this.grid.set(cell, []);
+        }
+        this.grid.get(cell).push(point);
+      }
+    }
+  }
+  
+  getBox(visual) {
+    const x = visual.x / 100 * this.width;
+    const y = visual.y / 100 * this.height;
+    let halfWidth = visual.size / 2;
+    let halfHeight = visual.size / 2;
+    if (this.layer.visualType === 'text' && this.context) {
+      this.context.font = `${visual.size}px Arial, sans-serif`;
+      halfWidth = this.context.measureText(visual.text).width / 2;
+    } else if (this.layer.visualType === 'text') {
+      halfWidth = visual.text.length * visual.size * 0.3; // Estimate without a context
+    } else if (this.layer.visualType === 'diamond') {
+      halfWidth *= Math.SQRT2;
+      halfHeight *= Math.SQRT2;
+    }
+    return { x, y, left: x - halfWidth, right: x + halfWidth, top: y - halfHeight, bottom: y + halfHeight };
+  }
+  
+  /**
+   * Data point drawn at a client position; later (topmost) marks win
+   */
+  hitTest(clientX, clientY) {
+    const rect = this.canvas.getBoundingClientRect();
+    if (!rect.width || !rect.height) return null;
+    
+    // The layer's own transform scales the canvas on screen
+    const x = (clientX - rect.left) * this.width / rect.width;
+    const y = (clientY - rect.top) * this.height / rect.height;
+    
+    if (this.layer.isSeriesType()) {
+      const points = this.layer.dataPoints;
+      for (let i = points.length - 1; i >= 0; i--) {
+        if (this.isVisible(points[i]) && this.hitsSeries(points[i].visual, x, y)) return points[i];
+      }
+      return null;
+    }
+    
+    const cell = this.grid.get(`${Math.floor(x / CELL_SIZE)},${Math.floor(y / CELL_SIZE)}`);
+    if (!cell) return null;
+    for (let i = cell.length - 1; i >= 0; i--) {
+      const box = cell[i].box;
+      if (this.layer.visualType === 'circle') {
+        const radius = (box.right - box.left) / 2;
+        if ((x - box.x) ** 2 + (y - box.y) ** 2 <= radius * radius) return cell[i];
+      } else if (x >= box.left && x <= box.right && y >= box.top && y <= box.bottom) {
+        return cell[i];
+      }
+    }
+    return null;
+  }
+  
+  hitsSeries(visual, x, y) {
+    const points = this.toPixels(visual);
+    const type = this.layer.visualType;
+    const filled = type === 'area' || type === 'polygon';
+    const reach = this.layer.strokeWidth / 2 + STROKE_SLOP;
+    
+    const segments = filled ? points.length : points.length - 1;
+    for (let i = 0; i < segments; i++) {
+      const [x1, y1] = points[i];
+      const [x2, y2] = points[(i + 1) % points.length];
+      if (distanceToSegment(x, y, x1, y1, x2, y2) <= reach) return true;
+    }
+    return filled && containsPoint(points, x, y);
+  }
+  
+  updateHover(event) {
+    this.setHovered(this.hitTest(event.clientX, event.clientY), event);
+  }
+  
+  /**
+   * Emit pointleave/pointhover as the mark under the pointer changes
+   */
+  setHovered(point, event) {
+    if (point === this.hovered) return;
+    
+    if (this.hovered) {
+      this.emit('pointleave', this.hovered, event);
+    }
+    this.hovered = point;
+    if (point) {
+      this.emit('pointhover', point, event);
+    }
+    
+    // The cursor goes on the container, which receives the pointer
+    if (this.target) {
+      this.target.style.cursor = point ? 'pointer' : '';
+    }
+    this.draw();
+  }
+  
+  emit(type, point, originalEvent) {
+    this.layer.emit(type, { data: point.data, element: this.canvas, layer: this.layer, originalEvent });
+  }
+  
+  destroy() {
+    this.unlisten();
+    this.layer.off('add', this.handleAdd);
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    if (this.canvas.parentNode) {
+      this.canvas.parentNode.removeChild(this.canvas);
+    }
+    this.grid.clear();
+    this.hovered = null;
+  }
+  
+  /**
+   * cloneNode() leaves canvases blank; copy each canvas's pixels into its clone
+   */
+  static copyPixels(source, copy) {
+    const find = root => (root.nodeName === 'CANVAS' ? [root] : Array.from(root.querySelectorAll('canvas')));
+    const targets = find(copy);
+    find(source).forEach((canvas, index) => {
+      const context = targets[index] && targets[index].getContext ? targets[index].getContext('2d') : null;
+      if (context && canvas.width && canvas.height) {
+        context.drawImage(canvas, 0, 0);
+      }
+    });
+  }
+}
+
+function distanceToSegment(x, y, x1, y1, x2, y2) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const length = dx * dx + dy * dy;
+  const t = length === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / length));
+  return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+}
+
+export default CanvasRenderer;
@@ -0,0 +1,35 @@
+/**
+ * Clock - Time source and frame scheduler for a scene
+ * The default uses performance.now(), requestAnimationFrame and setTimeout;
+ * pass a ManualClock (or any object with the same methods) to control time
+ */
+class Clock {
+  now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+  
+  requestFrame(callback) {
+    if (typeof requestAnimationFrame !== 'undefined') {
+      return requestAnimationFrame(callback);
+    }
+    return setTimeout(() => callback(this.now()), 1000 / 60);
+  }
+  
+  cancelFrame(id) {
+    if (typeof cancelAnimationFrame !== 'undefined') {
+      cancelAnimationFrame(id);
+    } else {
+      clearTimeout(id);
+    }
+  }
+  
+  setTimeout(callback, delay) {
+    return setTimeout(callback, delay);
+  }
+  
+  clearTimeout(id) {
+    clearTimeout(id);
+  }
+}
+
+export default Clock;
@@ -3,14 +3,79 @@
  * Binds data to visual elements with automatic positioning and styling
  */
 import ParallaxLayer from './ParallaxLayer.js';
+import { createScale } from './scales.js';
+import { getColorScheme, interpolateColors, schemeColors } from './colors.js';
+import CanvasRenderer from './CanvasRenderer.js';
+
+// Default output range per channel: positions in % of the layer, the rest normalized
+const CHANNEL_RANGES = { x: [0, 100], y: [0, 100], color: [0, 1], size: [0, 1] };
+
+// Palette for categorical color fields when no scheme is named
+const DEFAULT_CATEGORICAL_SCHEME = 'tableau10';
+
+// Marks drawn as one SVG path per series rather than one element per record
+const SERIES_TYPES = ['line', 'area', 'polygon', 'path'];
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Gap between a point and its anchored label, in px
+const LABEL_GAP = 4;
+
+// Selection styling when setSelection() is given no style
+const DEFAULT_SELECTION_STYLE = { selectedClass: 'is-selected', dimmedClass: 'is-dimmed', dimOpacity: 0.25 };
+
+// Tooltip numbers when no format is given
+const NUMBER_FORMAT = new Intl.NumberFormat(undefined, { maximumFractionDigits: 2 });
 
 class DataLayer extends ParallaxLayer {
   constructor(options = {}) {
     super(options);
     this.data = options.data || [];
-    this.visualType = options.visualType || 'circle'; // circle, rectangle, path
+    this.dimensions = options.dimensions || null;
+    this.dataSource = null; // 'table' when bound to the scene model's table
+    this.visualType = options.visualType || 'circle'; // See applyVisualStyle() and SERIES_TYPES
+    this.icon = options.icon || null; // Icon URL or (data) => URL when no icon dimension is given
+    this.strokeWidth = options.strokeWidth !== undefined ? options.strokeWidth : 2; // px, series marks
+    this.fillOpacity = options.fillOpacity !== undefined ? options.fillOpacity : 0.35; // Areas and polygons
+    this.labels = new Map(); // point element -> anchored label element
+    this.tooltip = options.tooltip !== undefined ? options.tooltip : null; // Tooltip options for this layer, or false for none
+    this.focusable = options.focusable !== false; // Marks take keyboard focus, which shows their tooltip
+    this.tabStop = null; // The one mark in the tab order; arrow keys move focus and the tab stop
+    this.handleMarkKeyDown = this.handleMarkKeyDown.bind(this);
+    this.element.addEventListener('keydown', this.handleMarkKeyDown);
+    
+    // 'dom' draws an element per mark, 'canvas' one canvas for the layer, and
+    // 'auto' switches to canvas above canvasThreshold marks
+    this.renderer = options.renderer || 'auto';
+    this.canvasThreshold = options.canvasThreshold !== undefined ? options.canvasThreshold : 2000;
+    this.canvasRenderer = null;
     this.colorScale = options.colorScale || this.defaultColorScale;
     this.sizeScale = options.sizeScale || this.defaultSizeScale;
+    this.scales = {}; // Channel scales built by renderData()
+    
+    // Color schemes: a name from colors.js or a list of colors
+    this.colorScheme = options.colorScheme || null;
+    this.defaultColorScheme = null;  // From the scene model's encoding.color.scheme
+    this.categoryIndex = new Map();  // category -> palette index, in first-seen order
+    this.schemeInterpolator = null;
+    
+    // Keyed join: renders reuse the element bound to the same key
+    this.key = options.key || null; // Field name or (data, index) => key; null joins by index
+    this.joined = new Map();        // key -> { element, data }
+    this.exiting = new Set();       // Elements fading out after leaving the data
+    this.pointData = new WeakMap(); // element -> current data record
+    this.pointFilter = null;        // (data) => boolean; failing points are hidden
+    this.selection = null;          // Selection shared across the scene's layers
+    this.selectionStyle = null;     // { selectedClass, dimmedClass, dimOpacity }
+    
+    // Transitions for updates (CSS) and for entering/exiting elements
+    const transition = options.transition || {};
+    this.transition = {
+      duration: transition.duration !== undefined ? transition.duration : 300, // ms
+      easing: transition.easing || 'ease', // CSS timing function
+      enter: transition.enter || 'fade',   // 'fade', 'grow' or 'none'
+      exit: transition.exit || 'fade'      // 'fade', 'grow' or 'none'
+    };
   }
   
   /**
@@ -32,114 +97,742 @@ class DataLayer extends ParallaxLayer {
   
   /**
    * Render data points as visual elements
+   * Elements are joined to records by key: matching elements move to their new
+   * position, size and color, new records enter and missing ones exit
    */
   renderData(data, dimensions) {
-    this.clear();
-    this.data = data;
+    this.data = data || [];
+    this.dimensions = dimensions;
+    this.dataSource = null;
     
-    if (!data || data.length === 0) return;
+    // Build the scale for each channel
+    this.scales = data && data.length > 0 ? this.createScales(data, dimensions) : {};
     
-    // Calculate data bounds for scaling
-    const bounds = this.calculateBounds(data, dimensions);
+    // Series marks join one element per series, other marks one per record
+    const items = this.isSeriesType()
+      ? this.groupSeries(this.data, dimensions)
+      : this.data.map((point, index) => ({ key: this.getKey(point, index), data: point }));
+    const changes = this.getRenderMode(items.length) === 'canvas'
+      ? this.renderCanvas(items, dimensions)
+      : this.renderElements(items, dimensions);
     
-    // Create visual element for each data point
-    data.forEach(point => {
-      const element = this.createDataElement(point, dimensions, bounds);
-      this.addDataPoint({ element, data: point });
+    this.emit('render', { data: this.data, ...changes });
+  }
+  
+  /**
+   * 'canvas' or 'dom' for a render of count marks
+   */
+  getRenderMode(count) {
+    if (this.renderer === 'canvas' || this.renderer === 'dom') return this.renderer;
+    return count > this.canvasThreshold ? 'canvas' : 'dom';
+  }
+  
+  /**
+   * Join items to elements; points a scale can't place are skipped
+   */
+  renderElements(items, dimensions) {
+    if (this.canvasRenderer) {
+      this.canvasRenderer.destroy();
+      this.canvasRenderer = null;
+      this.dataPoints = [];
+      this.joined = new Map();
+    }
+    
+    // The first render appears at once; later ones animate their changes
+    const animate = this.joined.size > 0;
+    const joined = new Map();
+    const entered = [];
+    const updated = [];
+    const previousPoints = this.dataPoints;
+    this.dataPoints = [];
+    
+    items.forEach(({ key, data: point }) => {
+      const previous = this.joined.get(key);
+      let element;
+      
+      // Duplicate keys after the first get their own element
+      if (previous && !joined.has(key)) {
+        element = previous.element;
+        if (!this.updateDataElement(element, point, dimensions)) return;
+        this.dataPoints.push({ element, data: point });
+        updated.push(point);
+      } else {
+        element = this.createDataElement(point, dimensions);
+        if (!element) return;
+        this.addDataPoint({ element, data: point });
+        if (animate) {
+          this.enterElement(element);
+        }
+        entered.push(point);
+      }
+      
+      if (!joined.has(key)) {
+        joined.set(key, { element, data: point });
+      }
+    });
+    
+    // Records that left the data
+    const kept = new Set(this.dataPoints.map(point => point.element));
+    const exited = [];
+    previousPoints.forEach(point => {
+      if (!point.element || kept.has(point.element)) return;
+      this.exitElement(point.element);
+      exited.push(point.data);
     });
+    this.joined = joined;
+    this.renderLabels();
+    this.updateTabStop();
+    
+    return { entered, updated, exited };
   }
   
   /**
-   * Calculate min/max bounds for each dimension
+   * Draw items into the layer's canvas; data points keep their computed
+   * visual instead of an element, and changes are drawn without transitions
    */
-  calculateBounds(data, dimensions) {
-    const bounds = {};
+  renderCanvas(items, dimensions) {
+    const previous = this.joined;
+    if (!this.canvasRenderer) {
+      this.removeElements();
+      this.canvasRenderer = new CanvasRenderer(this);
+      this.canvasRenderer.attach();
+    }
     
-    // dimensions is like { x: 'x', y: 'y', color: 'value', size: 'size' }
-    // We need to create bounds for each field name
-    Object.keys(dimensions).forEach(dimKey => {
-      const fieldName = dimensions[dimKey];
-      const values = data.map(d => d[fieldName]).filter(v => v !== undefined && v !== null);
-      if (values.length > 0) {
-        bounds[fieldName] = {
-          min: Math.min(...values),
-          max: Math.max(...values)
-        };
+    const joined = new Map();
+    const entered = [];
+    const updated = [];
+    this.dataPoints = [];
+    items.forEach(({ key, data: point }) => {
+      const visual = this.computeVisual(point, dimensions);
+      if (!visual) return;
+      
+      this.dataPoints.push({ element: null, data: point, visual });
+      if (previous.has(key) && !joined.has(key)) {
+        updated.push(point);
       } else {
-        bounds[fieldName] = {
-          min: 0,
-          max: 1
-        };
+        entered.push(point);
+      }
+      if (!joined.has(key)) {
+        joined.set(key, { element: null, data: point });
+      }
+    });
+    
+    const exited = [];
+    previous.forEach((entry, key) => {
+      if (!joined.has(key)) {
+        exited.push(entry.data);
       }
     });
+    this.joined = joined;
+    this.canvasRenderer.draw();
     
-    return bounds;
+    return { entered, updated, exited };
   }
   
   /**
-   * Create a visual element for a data point
+   * Drop every mark element and label, e.g. when switching to canvas
    */
-  createDataElement(dataPoint, dimensions, bounds) {
-    const element = document.createElement('div');
-    element.className = 'data-point';
-    element.style.position = 'absolute';
+  removeElements() {
+    const remove = element => {
+      if (element && element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    };
+    this.dataPoints.forEach(point => remove(point.element));
+    this.exiting.forEach(remove);
+    this.exiting.clear();
+    this.dataPoints = [];
+    this.joined = new Map();
+    this.renderLabels();
+    this.updateTabStop();
+  }
+  
+  isSeriesType() {
+    return SERIES_TYPES.indexOf(this.visualType) !== -1;
+  }
+  
+  /**
+   * Group records by the series dimension and order each group: by the order
+   * dimension, else lines and areas by x and polygons and paths as given
+   */
+  groupSeries(data, dimensions) {
+    const seriesField = DataLayer.getField(dimensions.series);
+    const orderField = DataLayer.getField(dimensions.order) ||
+      (this.visualType === 'line' || this.visualType === 'area' ? DataLayer.getField(dimensions.x) : null);
+    
+    const groups = new Map();
+    data.forEach(point => {
+      const key = seriesField ? point[seriesField] : 'series';
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(point);
+    });
+    
+    const items = [];
+    groups.forEach((records, key) => {
+      if (orderField) {
+        records.sort((a, b) => (a[orderField] < b[orderField] ? -1 : a[orderField] > b[orderField] ? 1 : 0));
+      }
+      items.push({ key, data: records });
+    });
+    return items;
+  }
+  
+  /**
+   * Join key for a record
+   */
+  getKey(dataPoint, index) {
+    if (typeof this.key === 'function') return this.key(dataPoint, index);
+    if (this.key) return dataPoint[this.key];
+    return index;
+  }
+  
+  /**
+   * Fade or grow a new element in from its initial state
+   */
+  enterElement(element) {
+    const type = this.transition.enter;
+    if (type === 'none') return;
+    
+    const base = element.dataset.baseTransform;
+    const transition = element.style.transition;
+    element.style.transition = 'none';
+    if (type === 'grow') {
+      element.style.transform = `${base} scale(0)`;
+    } else {
+      element.style.opacity = '0';
+    }
+    
+    // Flush the start state so the change below transitions
+    void element.offsetWidth;
+    element.style.transition = transition;
+    element.style.transform = base;
+    element.style.opacity = '';
+  }
+  
+  /**
+   * Fade or shrink an element out, then remove it
+   */
+  exitElement(element) {
+    const type = this.transition.exit;
+    const remove = () => {
+      this.exiting.delete(element);
+      if (element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    };
+    if (type === 'none' || !this.transition.duration) {
+      remove();
+      return;
+    }
+    
+    this.exiting.add(element);
+    element.style.pointerEvents = 'none';
+    if (type === 'grow') {
+      element.style.transform = `${element.dataset.baseTransform} scale(0)`;
+    } else {
+      element.style.opacity = '0';
+    }
+    
+    const scene = this.getScene();
+    if (scene) {
+      scene.clock.setTimeout(remove, this.transition.duration);
+    } else {
+      setTimeout(remove, this.transition.duration);
+    }
+  }
+  
+  /**
+   * Remove all elements at once, including ones still exiting
+   */
+  clear() {
+    if (this.canvasRenderer) {
+      this.canvasRenderer.destroy();
+      this.canvasRenderer = null;
+    }
+    super.clear();
+    this.joined = new Map();
+    this.exiting.clear();
+    this.categoryIndex.clear();
+    this.labels = new Map();
+    this.tabStop = null;
+  }
+  
+  /**
+   * Build a scale per channel from its spec (or the data) and the channel's range
+   */
+  createScales(data, dimensions) {
+    const scales = {};
+    Object.keys(dimensions).forEach(channel => {
+      const dimension = dimensions[channel];
+      const field = DataLayer.getField(dimension);
+      const spec = typeof dimension === 'object' && dimension.scale ? dimension.scale : {};
+      const values = data.map(d => d[field]);
+      let scale = createScale(spec, values, CHANNEL_RANGES[channel] || [0, 1]);
+      
+      // A continuous scale interpolates numbers; a color range is blended
+      // along 0-1 instead
+      if (scale.invert && spec.range && spec.range.some(value => typeof value !== 'number')) {
+        if (channel !== 'color') {
+          throw new Error(`Continuous ${channel} scale needs a numeric range`);
+        }
+        scale = createScale({ ...spec, range: [0, 1] }, values);
+        scale.colors = interpolateColors(spec.range);
+      }
+      scales[channel] = scale;
+    });
+    return scales;
+  }
+  
+  /**
+   * Scale for a channel from the last renderData()
+   */
+  getScale(channel) {
+    return this.scales[channel] || null;
+  }
+  
+  /**
+   * Position along x or y in %, centred in the band for band scales
+   */
+  positionOf(channel, dataPoint) {
+    const scale = this.scales[channel];
+    const value = scale(dataPoint[DataLayer.getField(this.dimensions[channel])]);
+    return value + scale.bandwidth() / 2;
+  }
+  
+  /**
+   * Encode color or size: a scale with an explicit range gives the output
+   * directly, otherwise the mapping function receives the value normalized
+   * to 0-1 (or, for plain field names, the raw value with its min and max)
+   */
+  encodeChannel(channel, dataPoint, mapping) {
+    return this.encodeValue(channel, dataPoint[DataLayer.getField(this.dimensions[channel])], mapping);
+  }
+  
+  /**
+   * Encode a raw field value for a channel, e.g. to draw a legend
+   */
+  encodeValue(channel, value, mapping) {
+    const dimension = this.dimensions[channel];
+    const scale = this.scales[channel];
+    const spec = typeof dimension === 'object' ? dimension.scale : null;
+    let map = mapping || (channel === 'size' ? this.sizeScale : this.colorScale);
+    
+    if (spec && spec.range) {
+      return scale.colors ? scale.colors(scale(value)) : scale(value);
+    }
+    
+    // Without a custom colorScale, categories get palette colors and a named
+    // scheme replaces the default hue ramp
+    if (channel === 'color' && !mapping && this.colorScale === this.defaultColorScale) {
+      const scheme = this.getColorScheme();
+      if (scale.type === 'ordinal' || scale.type === 'band') {
+        return this.categoryColor(value, scheme || getColorScheme(DEFAULT_CATEGORICAL_SCHEME));
+      }
+      if (scheme) {
+        const interpolate = this.getSchemeInterpolator(scheme);
+        // A diverging scheme's middle color goes to the dimension's midpoint,
+        // in the same units as the values map() receives
+        let midpoint = null;
+        if (scheme.type === 'diverging' && typeof dimension === 'object' && dimension.midpoint !== undefined) {
+          midpoint = spec || !scale.invert ? scale(dimension.midpoint) : dimension.midpoint;
+        }
+        map = (v, min, max) => {
+          if (max === min) return interpolate(0.5);
+          if (midpoint === null || !(midpoint > min && midpoint < max)) {
+            return interpolate((v - min) / (max - min));
+          }
+          return interpolate(v < midpoint
+            ? 0.5 * (v - min) / (midpoint - min)
+            : 0.5 + 0.5 * (v - midpoint) / (max - midpoint));
+        };
+      }
+    }
+    
+    if (!spec && scale.invert) {
+      return map(value, scale.domain[0], scale.domain[scale.domain.length - 1]);
+    }
+    return map(scale(value), 0, 1);
+  }
+  
+  /**
+   * The color scheme in effect: the color dimension's `scheme`, then the
+   * layer's colorScheme, then the scene model's encoding.color.scheme
+   */
+  getColorScheme() {
+    const dimension = this.dimensions && this.dimensions.color;
+    const scheme = (typeof dimension === 'object' && dimension.scheme) || this.colorScheme || this.defaultColorScheme;
+    return scheme ? getColorScheme(scheme) : null;
+  }
+  
+  /**
+   * Use a scheme name or color list for the color channel and recolor the points
+   */
+  setColorScheme(scheme) {
+    this.colorScheme = scheme || null;
+    if (this.dimensions) {
+      this.renderData(this.data, this.dimensions);
+    }
+  }
+  
+  getSchemeInterpolator(scheme) {
+    if (!this.schemeInterpolator || this.schemeInterpolator.scheme !== scheme) {
+      this.schemeInterpolator = { scheme, interpolate: interpolateColors(scheme.colors) };
+    }
+    return this.schemeInterpolator.interpolate;
+  }
+  
+  /**
+   * Palette color for a category; each category keeps the index it was
+   * first seen with, so its color survives data updates
+   */
+  categoryColor(value, scheme) {
+    if (!this.categoryIndex.has(value)) {
+      this.categoryIndex.set(value, this.categoryIndex.size);
+    }
+    const domain = this.scales.color ? this.scales.color.domain : [];
+    const colors = schemeColors(scheme, Math.max(this.categoryIndex.size, domain.length));
+    return colors[this.categoryIndex.get(value) % colors.length];
+  }
+  
+  /**
+   * Human-readable name of a channel: the dimension's label, the scene
+   * model's encoding label (e.g. encoding.color.label), else the field name
+   */
+  getChannelLabel(channel) {
+    const dimension = this.dimensions && this.dimensions[channel];
+    if (!dimension) return '';
+    if (typeof dimension === 'object' && dimension.label) return dimension.label;
+    
+    const field = DataLayer.getField(dimension);
+    const scene = this.getScene();
+    const encoding = scene && scene.metadata && scene.metadata.encoding && scene.metadata.encoding[channel];
+    if (encoding && encoding.label && (!encoding.field || encoding.field === field)) {
+      return encoding.label;
+    }
+    return field;
+  }
+  
+  /**
+   * Hide points whose record fails filter(data); null shows every point
+   */
+  setPointFilter(filter) {
+    this.pointFilter = filter || null;
+    if (this.canvasRenderer) {
+      this.canvasRenderer.draw();
+    } else {
+      this.dataPoints.forEach(point => this.applyPointFilter(point.element, point.data));
+      this.layoutLabels();
+      this.updateTabStop();
+    }
+    this.requestRender();
+  }
+  
+  /**
+   * Series marks stay visible while any of their records passes
+   */
+  applyPointFilter(element, dataPoint) {
+    const records = Array.isArray(dataPoint) ? dataPoint : [dataPoint];
+    const visible = !this.pointFilter || records.some(this.pointFilter);
+    element.style.display = visible ? '' : 'none';
+  }
+  
+  /**
+   * Highlight selected marks and dim the rest while the selection is not
+   * empty; null removes the styling
+   */
+  setSelection(selection, style) {
+    this.selection = selection || null;
+    this.selectionStyle = style || this.selectionStyle || DEFAULT_SELECTION_STYLE;
+    
+    if (this.canvasRenderer) {
+      this.canvasRenderer.draw();
+    } else {
+      this.dataPoints.forEach(point => this.applySelectionStyle(point.element, point.data));
+    }
+    if (!selection) {
+      this.selectionStyle = null;
+    }
+  }
+  
+  /**
+   * 'selected', 'dimmed', or null when nothing is selected; series marks
+   * count as selected when any of their records is
+   */
+  getSelectionState(dataPoint) {
+    if (!this.selection || this.selection.size === 0) return null;
+    const records = Array.isArray(dataPoint) ? dataPoint : [dataPoint];
+    return records.some(record => this.selection.has(record)) ? 'selected' : 'dimmed';
+  }
+  
+  applySelectionStyle(element, dataPoint) {
+    if (!this.selectionStyle) return;
+    const state = this.getSelectionState(dataPoint);
+    element.classList.toggle(this.selectionStyle.selectedClass, state === 'selected');
+    element.classList.toggle(this.selectionStyle.dimmedClass, state === 'dimmed');
+  }
+  
+  /**
+   * Position, size and color for a data point, or null if it can't be placed
+   */
+  computeVisual(dataPoint, dimensions) {
+    if (this.isSeriesType()) {
+      return this.computeSeriesVisual(dataPoint, dimensions);
+    }
     
     // Calculate position
-    const x = this.scaleValue(
-      dataPoint[dimensions.x],
-      bounds[dimensions.x].min,
-      bounds[dimensions.x].max,
-      0,
-      100
-    );
-    const y = this.scaleValue(
-      dataPoint[dimensions.y],
-      bounds[dimensions.y].min,
-      bounds[dimensions.y].max,
-      0,
-      100
-    );
-    
-    element.style.left = `${x}%`;
-    element.style.top = `${y}%`;
-    
-    // Calculate size based on value dimension (if provided)
-    let size = 10;
-    if (dimensions.size && dataPoint[dimensions.size] !== undefined) {
-      size = this.sizeScale(
-        dataPoint[dimensions.size],
-        bounds[dimensions.size].min,
-        bounds[dimensions.size].max
-      );
+    const x = this.positionOf('x', dataPoint);
+    const y = this.positionOf('y', dataPoint);
+    if (!isFinite(x) || !isFinite(y)) return null;
+    
+    // Calculate size based on value dimension (if provided); text uses it as font size
+    let size = this.visualType === 'text' ? 12 : 10;
+    if (dimensions.size && dataPoint[DataLayer.getField(dimensions.size)] !== undefined) {
+      size = this.encodeChannel('size', dataPoint, this.sizeScale);
     }
     
     // Calculate color based on color dimension (if provided)
     let color = '#3498db';
-    if (dimensions.color && dataPoint[dimensions.color] !== undefined) {
-      color = this.colorScale(
-        dataPoint[dimensions.color],
-        bounds[dimensions.color].min,
-        bounds[dimensions.color].max
-      );
+    if (dimensions.color && dataPoint[DataLayer.getField(dimensions.color)] !== undefined) {
+      color = this.encodeChannel('color', dataPoint);
+    }
+    
+    const visual = { x, y, size, color };
+    if (this.visualType === 'text') {
+      const field = DataLayer.getField(dimensions.text || dimensions.label);
+      visual.text = field && dataPoint[field] !== undefined ? String(dataPoint[field]) : '';
+    } else if (this.visualType === 'icon') {
+      visual.icon = dimensions.icon
+        ? dataPoint[DataLayer.getField(dimensions.icon)]
+        : (typeof this.icon === 'function' ? this.icon(dataPoint) : this.icon);
+    }
+    return visual;
+  }
+  
+  /**
+   * SVG path data (in % of the layer) and color for a series of records
+   */
+  computeSeriesVisual(records, dimensions) {
+    const points = [];
+    records.forEach(record => {
+      const x = this.positionOf('x', record);
+      const y = this.positionOf('y', record);
+      if (isFinite(x) && isFinite(y)) {
+        points.push([x, y]);
+      }
+    });
+    if (points.length === 0) return null;
+    
+    let path = `M ${points.map(point => point.join(' ')).join(' L ')}`;
+    if (this.visualType === 'area') {
+      // Close down to the start of the y domain (0 for zero-based scales)
+      const baseline = this.scales.y(this.scales.y.domain[0]);
+      path += ` L ${points[points.length - 1][0]} ${baseline} L ${points[0][0]} ${baseline} Z`;
+    } else if (this.visualType === 'polygon') {
+      path += ' Z';
+    }
+    
+    let color = '#3498db';
+    const colorField = DataLayer.getField(dimensions.color);
+    if (colorField && records[0][colorField] !== undefined) {
+      color = this.encodeChannel('color', records[0]);
+    }
+    const baseline = this.visualType === 'area' ? this.scales.y(this.scales.y.domain[0]) : null;
+    return { path, color, points, baseline };
+  }
+  
+  /**
+   * Create a visual element for a data point, or null if it can't be placed
+   */
+  createDataElement(dataPoint, dimensions) {
+    const visual = this.computeVisual(dataPoint, dimensions);
+    if (!visual) return null;
+    if (this.isSeriesType()) {
+      return this.createSeriesElement(dataPoint, visual);
     }
     
+    const element = document.createElement('div');
+    element.className = `data-point data-${this.visualType}`;
+    element.style.position = 'absolute';
+    element.style.left = `${visual.x}%`;
+    element.style.top = `${visual.y}%`;
+    
     // Apply visual style based on type
-    this.applyVisualStyle(element, this.visualType, size, color);
+    this.applyVisualStyle(element, this.visualType, visual);
+    
+    this.describeMark(element, dataPoint);
+    this.bindPointEvents(element, dataPoint);
+    this.applyPointFilter(element, dataPoint);
+    this.applySelectionStyle(element, dataPoint);
+    
+    return element;
+  }
+  
+  /**
+   * Move an existing element to a record's new encoding; CSS transitions
+   * animate the change. Returns false if the record can't be placed.
+   */
+  updateDataElement(element, dataPoint, dimensions) {
+    const visual = this.computeVisual(dataPoint, dimensions);
+    if (!visual) return false;
     
-    // Add tooltip with data
-    element.title = this.formatTooltip(dataPoint, dimensions);
+    if (this.isSeriesType()) {
+      this.styleSeries(element, visual);
+    } else {
+      element.style.left = `${visual.x}%`;
+      element.style.top = `${visual.y}%`;
+      this.styleMark(element, this.visualType, visual);
+    }
+    this.describeMark(element, dataPoint);
+    this.pointData.set(element, dataPoint);
+    this.applyPointFilter(element, dataPoint);
+    this.applySelectionStyle(element, dataPoint);
+    return true;
+  }
+  
+  /**
+   * One SVG spanning the layer with a path for the series; the viewBox
+   * matches the % positions and strokes keep their width when stretched
+   */
+  createSeriesElement(records, visual) {
+    const element = document.createElementNS(SVG_NS, 'svg');
+    element.setAttribute('class', `data-series data-${this.visualType}`);
+    element.setAttribute('viewBox', '0 0 100 100');
+    element.setAttribute('preserveAspectRatio', 'none');
+    Object.assign(element.style, {
+      position: 'absolute',
+      left: '0',
+      top: '0',
+      width: '100%',
+      height: '100%',
+      overflow: 'visible',
+      pointerEvents: 'none',
+      transition: `opacity ${this.transition.duration}ms ${this.transition.easing}`
+    });
+    element.dataset.baseTransform = '';
+    
+    const shape = document.createElementNS(SVG_NS, 'path');
+    shape.setAttribute('vector-effect', 'non-scaling-stroke');
+    shape.setAttribute('stroke-linejoin', 'round');
+    shape.setAttribute('stroke-linecap', 'round');
+    shape.style.pointerEvents = this.visualType === 'line' || this.visualType === 'path' ? 'visibleStroke' : 'visiblePainted';
+    shape.style.cursor = 'pointer';
+    element.appendChild(shape);
     
+    this.styleSeries(element, visual);
+    this.describeMark(element, records);
+    this.bindPointEvents(element, records);
+    this.applyPointFilter(element, records);
+    this.applySelectionStyle(element, records);
     return element;
   }
   
+  styleSeries(element, visual) {
+    const shape = element.firstChild;
+    const filled = this.visualType === 'area' || this.visualType === 'polygon';
+    shape.setAttribute('d', visual.path);
+    shape.setAttribute('stroke', visual.color);
+    shape.setAttribute('stroke-width', this.strokeWidth);
+    shape.setAttribute('fill', filled ? visual.color : 'none');
+    shape.setAttribute('fill-opacity', filled ? this.fillOpacity : 0);
+  }
+  
+  /**
+   * Accessible name for a mark; focusable marks are reachable by arrow keys
+   * and only the tab stop is in the tab order
+   */
+  describeMark(element, dataPoint) {
+    element.setAttribute('role', 'img');
+    element.setAttribute('aria-label', this.describeData(dataPoint, this.tooltip || {}) || this.visualType);
+    if (this.focusable) {
+      element.setAttribute('tabindex', element === this.tabStop ? '0' : '-1');
+    } else {
+      element.removeAttribute('tabindex');
+    }
+  }
+  
+  /**
+   * Visible mark elements that can take focus, in data order
+   */
+  getFocusableMarks() {
+    if (!this.focusable) return [];
+    return this.dataPoints
+      .map(point => point.element)
+      .filter(element => element && element.style.display !== 'none');
+  }
+  
+  /**
+   * Keep one mark in the tab order (roving tabindex): the last focused mark
+   * while it is still shown, else the first visible one
+   */
+  updateTabStop() {
+    const marks = this.getFocusableMarks();
+    this.setTabStop(marks.indexOf(this.tabStop) !== -1 ? this.tabStop : (marks[0] || null));
+  }
+  
+  setTabStop(element) {
+    if (this.tabStop && this.tabStop !== element && this.focusable) {
+      this.tabStop.setAttribute('tabindex', '-1');
+    }
+    this.tabStop = element;
+    if (element && this.focusable) {
+      element.setAttribute('tabindex', '0');
+    }
+  }
+  
   /**
-   * Apply visual styling based on type
+   * Arrow keys move focus to the next or previous mark, Home and End to the
+   * first and last; the keys don't reach the scene's keyboard parallax
    */
-  applyVisualStyle(element, type, size, color) {
-    element.style.width = `${size}px`;
-    element.style.height = `${size}px`;
-    element.style.backgroundColor = color;
-    element.style.transition = 'all 0.3s ease';
+  handleMarkKeyDown(e) {
+    const marks = this.getFocusableMarks();
+    const index = marks.indexOf(e.target);
+    if (index === -1) return;
+    
+    let next;
+    if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+      next = Math.min(marks.length - 1, index + 1);
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
+      next = Math.max(0, index - 1);
+    } else if (e.key === 'Home') {
+      next = 0;
+    } else if (e.key === 'End') {
+      next = marks.length - 1;
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    this.setTabStop(marks[next]);
+    marks[next].focus({ preventScroll: true });
+  }
+  
+  /**
+   * Emit pointhover/pointleave/pointclick, and pointfocus/pointblur for
+   * keyboard focus, with the bound data record (the array of records for
+   * series marks)
+   */
+  bindPointEvents(element, dataPoint) {
+    // Read the record at event time, as keyed updates rebind it
+    this.pointData.set(element, dataPoint);
+    const emitPointEvent = type => originalEvent => {
+      this.emit(type, { data: this.pointData.get(element), element, layer: this, originalEvent });
+    };
+    element.addEventListener('pointerenter', emitPointEvent('pointhover'));
+    element.addEventListener('pointerleave', emitPointEvent('pointleave'));
+    element.addEventListener('click', emitPointEvent('pointclick'));
+    element.addEventListener('focus', () => this.setTabStop(element));
+    element.addEventListener('focus', emitPointEvent('pointfocus'));
+    element.addEventListener('blur', emitPointEvent('pointblur'));
+  }
+  
+  /**
+   * Apply visual styling based on type: circle, rectangle, diamond, text or icon
+   */
+  applyVisualStyle(element, type, visual) {
+    this.styleMark(element, type, visual);
+    element.style.transition = `all ${this.transition.duration}ms ${this.transition.easing}`;
     
     // Store base transform based on type
     let baseTransform = 'translate(-50%, -50%)';
@@ -159,38 +852,272 @@ class DataLayer extends ParallaxLayer {
     element.dataset.baseTransform = baseTransform;
     
     // Add hover effect
-    element.addEventListener('mouseenter', () => {
+    element.addEventListener('pointerenter', () => {
       element.style.transform = `${element.dataset.baseTransform} scale(1.5)`;
       element.style.zIndex = '1000';
     });
     
-    element.addEventListener('mouseleave', () => {
+    element.addEventListener('pointerleave', () => {
       element.style.transform = element.dataset.baseTransform;
       element.style.zIndex = 'auto';
     });
   }
   
   /**
-   * Scale a value from one range to another
+   * Size, color and content of a point mark
+   */
+  styleMark(element, type, visual) {
+    if (type === 'text') {
+      element.textContent = visual.text;
+      element.style.color = visual.color;
+      element.style.fontSize = `${visual.size}px`;
+      element.style.whiteSpace = 'nowrap';
+      return;
+    }
+    
+    element.style.width = `${visual.size}px`;
+    element.style.height = `${visual.size}px`;
+    if (type === 'icon') {
+      element.style.backgroundImage = visual.icon ? `url("${visual.icon}")` : '';
+      element.style.backgroundSize = 'contain';
+      element.style.backgroundRepeat = 'no-repeat';
+      element.style.backgroundPosition = 'center';
+    } else {
+      element.style.backgroundColor = visual.color;
+    }
+  }
+  
+  /**
+   * Text from the label dimension next to each point mark
+   */
+  renderLabels() {
+    const field = this.dimensions && DataLayer.getField(this.dimensions.label);
+    const labels = new Map();
+    
+    if (field && !this.isSeriesType() && this.visualType !== 'text') {
+      this.dataPoints.forEach(({ element, data }) => {
+        let label = this.labels.get(element);
+        if (!label) {
+          label = document.createElement('div');
+          label.className = 'data-label';
+          label.style.position = 'absolute';
+          label.style.pointerEvents = 'none';
+          label.style.whiteSpace = 'nowrap';
+          this.element.appendChild(label);
+        }
+        label.textContent = data[field] !== undefined && data[field] !== null ? String(data[field]) : '';
+        label.style.left = element.style.left;
+        label.style.top = element.style.top;
+        labels.set(element, label);
+      });
+    }
+    
+    this.labels.forEach((label, element) => {
+      if (!labels.has(element) && label.parentNode) {
+        label.parentNode.removeChild(label);
+      }
+    });
+    this.labels = labels;
+    this.layoutLabels();
+  }
+  
+  /**
+   * Avoid overlapping labels: each label takes the first free spot right,
+   * left, above or below its point, and is hidden when none is free. Text
+   * marks stay centred and are hidden when they overlap. Earlier records win.
    */
-  scaleValue(value, inMin, inMax, outMin, outMax) {
-    if (inMax === inMin) return outMin;
-    return ((value - inMin) / (inMax - inMin)) * (outMax - outMin) + outMin;
+  layoutLabels() {
+    if (this.canvasRenderer) return;
+    
+    const width = this.element.offsetWidth;
+    const height = this.element.offsetHeight;
+    const textMarks = this.visualType === 'text';
+    const entries = textMarks
+      ? this.dataPoints.map(({ element }) => [element, element])
+      : Array.from(this.labels);
+    const placed = [];
+    
+    entries.forEach(([element, label]) => {
+      if (element.style.display === 'none') {
+        label.style.visibility = 'hidden';
+        return;
+      }
+      
+      const x = parseFloat(element.style.left) / 100 * width;
+      const y = parseFloat(element.style.top) / 100 * height;
+      const w = label.offsetWidth;
+      const h = label.offsetHeight;
+      const radius = (parseFloat(element.style.width) || 0) / 2 + LABEL_GAP;
+      const candidates = textMarks
+        ? [[-w / 2, -h / 2]]
+        : [[radius, -h / 2], [-radius - w, -h / 2], [-w / 2, -radius - h], [-w / 2, radius]];
+      
+      const free = candidates.find(([dx, dy]) => !placed.some(box =>
+        x + dx < box.right && x + dx + w > box.left && y + dy < box.bottom && y + dy + h > box.top));
+      if (!free) {
+        label.style.visibility = 'hidden';
+        return;
+      }
+      
+      const [dx, dy] = free;
+      placed.push({ left: x + dx, top: y + dy, right: x + dx + w, bottom: y + dy + h });
+      label.style.visibility = '';
+      if (!textMarks) {
+        label.style.transform = `translate(${dx}px, ${dy}px)`;
+      }
+    });
   }
   
   /**
-   * Format tooltip text
+   * Format tooltip text as 'field: value' lines for the given dimensions
    */
   formatTooltip(dataPoint, dimensions) {
     const parts = [];
     Object.keys(dimensions).forEach(key => {
-      const dim = dimensions[key];
+      const dim = DataLayer.getField(dimensions[key]);
       if (dataPoint[dim] !== undefined) {
         parts.push(`${dim}: ${dataPoint[dim]}`);
       }
     });
     return parts.join('\n');
   }
+  
+  /**
+   * Plain-text 'label: value' summary of a point, used as its accessible name
+   */
+  describeData(dataPoint, options = {}) {
+    return this.getTooltipFields(dataPoint, options)
+      .map(({ label, text }) => `${label}: ${text}`)
+      .join(', ');
+  }
+  
+  /**
+   * Label and formatted value of each field shown for a point: options.fields,
+   * else every encoded field. Series marks list only the fields that all
+   * their records share.
+   */
+  getTooltipFields(dataPoint, options = {}) {
+    const records = Array.isArray(dataPoint) ? dataPoint : [dataPoint];
+    const dimensions = this.dimensions || {};
+    const labels = options.labels || {};
+    const fields = options.fields ||
+      Object.keys(dimensions).map(channel => DataLayer.getField(dimensions[channel]));
+    
+    const result = [];
+    fields.forEach(field => {
+      if (!field || result.some(entry => entry.field === field) || !records[0]) return;
+      const value = records[0][field];
+      if (value === undefined || value === null) return;
+      if (records.some(record => String(record[field]) !== String(value))) return;
+      result.push({
+        field,
+        label: labels[field] || this.getFieldLabel(field),
+        value,
+        text: this.formatValue(value, field, options.format, records[0])
+      });
+    });
+    return result;
+  }
+  
+  /**
+   * Label of the channel encoding a field, or the field name
+   */
+  getFieldLabel(field) {
+    const dimensions = this.dimensions || {};
+    const channel = Object.keys(dimensions).find(key => DataLayer.getField(dimensions[key]) === field);
+    return channel ? this.getChannelLabel(channel) : field;
+  }
+  
+  /**
+   * Text for a field value. format is a (value, field, data) function, or
+   * maps fields to such functions or to Intl.NumberFormat options.
+   */
+  formatValue(value, field, format, data) {
+    if (value === undefined || value === null) return '';
+    if (typeof format === 'function') return String(format(value, field, data));
+    
+    const fieldFormat = format ? format[field] : null;
+    if (typeof fieldFormat === 'function') return String(fieldFormat(value, field, data));
+    if (typeof value === 'number' && isFinite(value)) {
+      return (fieldFormat ? new Intl.NumberFormat(undefined, fieldFormat) : NUMBER_FORMAT).format(value);
+    }
+    if (value instanceof Date) return value.toLocaleString();
+    return String(value);
+  }
+  
+  /**
+   * Field name of a dimension given as 'field' or { field, scale }
+   */
+  static getField(dimension) {
+    return typeof dimension === 'string' ? dimension : (dimension && dimension.field);
+  }
+  
+  /**
+   * Serialize to the Chart Layer JSON model, including the data binding
+   * Custom colorScale/sizeScale, icon and tooltip functions are not serialized
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      type: 'data',
+      visualType: this.visualType,
+      icon: typeof this.icon === 'string' ? this.icon : undefined,
+      strokeWidth: this.strokeWidth,
+      fillOpacity: this.fillOpacity,
+      renderer: this.renderer,
+      canvasThreshold: this.canvasThreshold,
+      colorScheme: this.colorScheme || undefined,
+      tooltip: this.tooltip !== null ? this.tooltip : undefined,
+      focusable: this.focusable,
+      key: typeof this.key === 'string' ? this.key : undefined,
+      transition: { ...this.transition },
+      dimensions: this.dimensions,
+      data: this.dataSource === 'table' ? 'table' : this.data
+    };
+  }
+  
+  /**
+   * Create a data layer; data may be inline records or 'table' for the model's table
+   */
+  static fromJSON(json, context = {}) {
+    const layer = super.fromJSON(json, context);
+    const fromTable = json.data === 'table' || (json.data === undefined && context.table);
+    const data = fromTable ? (context.table || []) : (json.data || []);
+    
+    // The model's encoding.color.scheme applies when coloring by its field
+    const encoding = context.scene && context.scene.metadata.encoding && context.scene.metadata.encoding.color;
+    const colorField = json.dimensions && DataLayer.getField(json.dimensions.color);
+    if (encoding && encoding.scheme && (!encoding.field || encoding.field === colorField)) {
+      layer.defaultColorScheme = encoding.scheme;
+    }
+    
+    if (json.dimensions) {
+      layer.renderData(data, json.dimensions);
+    } else {
+      layer.data = data;
+    }
+    if (fromTable) {
+      layer.dataSource = 'table';
+    }
+    return layer;
+  }
+  
+  static optionsFromJSON(json, context) {
+    return {
+      ...super.optionsFromJSON(json, context),
+      visualType: json.visualType,
+      icon: json.icon,
+      strokeWidth: json.strokeWidth,
+      fillOpacity: json.fillOpacity,
+      renderer: json.renderer,
+      canvasThreshold: json.canvasThreshold,
+      colorScheme: json.colorScheme,
+      tooltip: json.tooltip,
+      focusable: json.focusable,
+      key: json.key,
+      transition: json.transition
+    };
+  }
 }
 
 export default DataLayer;
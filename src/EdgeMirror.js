@@ -0,0 +1,133 @@
+/**
+ * EdgeMirror - Reflected copies of a layer's content around its edges
+ * Used by the 'mirror' edge mode so a sliding layer reveals a reflection of
+ * itself instead of the container background. Copies refresh when the
+ * layer's content changes.
+ */
+import CanvasRenderer from './CanvasRenderer.js';
+import { UNRENDERED_ATTRIBUTE, getPath, followPath, syncAttribute } from './mirror.js';
+
+// Tile positions (in layer sizes) and the flip that makes each edge seamless
+const TILES = [
+  [-1, -1], [0, -1], [1, -1],
+  [-1, 0], [1, 0],
+  [-1, 1], [0, 1], [1, 1]
+];
+
+class EdgeMirror {
+  constructor(layer) {
+    this.layer = layer;
+    this.element = document.createElement('div');
+    this.element.className = 'parallax-layer-mirror';
+    this.element.setAttribute('aria-hidden', 'true');
+    this.element.setAttribute('inert', '');
+    this.element.style.position = 'absolute';
+    this.element.style.top = '0';
+    this.element.style.left = '0';
+    this.element.style.width = '100%';
+    this.element.style.height = '100%';
+    this.element.style.pointerEvents = 'none';
+    this.dirty = true;
+    
+    if (typeof MutationObserver !== 'undefined') {
+      this.observer = new MutationObserver(records => this.handleMutations(records));
+      this.observer.observe(layer.element, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        characterData: true
+      });
+    }
+  }
+  
+  /**
+   * Keep the tiles in step with the layer. Per-frame transforms on the layer
+   * itself and accessibility attributes are skipped; other attribute changes
+   * (hover styles, selection classes) are copied into each tile, and anything
+   * else rebuilds the tiles on the next render.
+   */
+  handleMutations(records) {
+    if (this.dirty) return;
+    const structural = records.some(record => {
+      if (this.element.contains(record.target)) return false;
+      if (record.type !== 'attributes') return true;
+      const name = record.attributeName;
+      if (record.target === this.layer.element || UNRENDERED_ATTRIBUTE.test(name)) return false;
+      return !this.copyAttribute(record.target, name);
+    });
+    if (structural) {
+      this.dirty = true;
+      this.layer.requestRender();
+    }
+  }
+  
+  /**
+   * Copy one attribute to an element's copy in every tile; false when a tile
+   * has no matching copy to update
+   */
+  copyAttribute(element, name) {
+    const host = this.layer.element;
+    const path = this.element.parentNode === host ? getPath(host, element) : null;
+    if (!path) return false;
+    // Tiles copy every child of the layer but the mirror itself
+    if (path[0] > Array.prototype.indexOf.call(host.children, this.element)) {
+      path[0] -= 1;
+    }
+    return Array.from(this.element.children).every(tile =>
+      syncAttribute(element, followPath(tile, path), name));
+  }
+  
+  /**
+   * Rebuild the reflected tiles if the content changed
+   */
+  update() {
+    if (!this.dirty) return;
+    this.dirty = false;
+    
+    const host = this.layer.element;
+    if (this.element.parentNode !== host) {
+      host.insertBefore(this.element, host.firstChild);
+    }
+    
+    const content = Array.from(host.childNodes).filter(node => node !== this.element);
+    const tiles = TILES.map(([x, y]) => {
+      const tile = document.createElement('div');
+      tile.style.position = 'absolute';
+      tile.style.width = '100%';
+      tile.style.height = '100%';
+      tile.style.left = `${x * 100}%`;
+      tile.style.top = `${y * 100}%`;
+      tile.style.transform = `scale(${x === 0 ? 1 : -1}, ${y === 0 ? 1 : -1})`;
+      content.forEach(node => {
+        const copy = node.cloneNode(true);
+        if (node.nodeType === 1) {
+          CanvasRenderer.copyPixels(node, copy);
+          // Reflections are decoration: no duplicate ids or extra tab stops
+          [copy, ...copy.querySelectorAll('[id], [tabindex]')].forEach(element => {
+            element.removeAttribute('id');
+            element.removeAttribute('tabindex');
+          });
+        }
+        tile.appendChild(copy);
+      });
+      return tile;
+    });
+    this.element.replaceChildren(...tiles);
+    
+    // Our own changes are not content changes
+    if (this.observer) {
+      this.observer.takeRecords();
+    }
+  }
+  
+  destroy() {
+    if (this.observer) {
+      this.observer.disconnect();
+    }
+    if (this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+}
+
+export default EdgeMirror;
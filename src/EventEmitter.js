@@ -0,0 +1,72 @@
+/**
+ * EventEmitter - Minimal on/off/once event API shared by scenes and layers
+ * Listeners receive a single payload object with `type` and `target` filled in
+ */
+class EventEmitter {
+  constructor() {
+    this.listeners = {};
+  }
+  
+  /**
+   * Register a listener for an event type
+   */
+  on(type, listener) {
+    if (!this.listeners[type]) {
+      this.listeners[type] = [];
+    }
+    this.listeners[type].push(listener);
+    return this;
+  }
+  
+  /**
+   * Remove a listener, or every listener for the type when none is given
+   */
+  off(type, listener) {
+    const listeners = this.listeners[type];
+    if (!listeners) return this;
+    
+    if (!listener) {
+      delete this.listeners[type];
+      return this;
+    }
+    
+    const index = listeners.findIndex(l => l === listener || l.original === listener);
+    if (index > -1) {
+      listeners.splice(index, 1);
+    }
+    return this;
+  }
+  
+  /**
+   * Register a listener that is removed after its first call
+   */
+  once(type, listener) {
+    const wrapper = payload => {
+      this.off(type, wrapper);
+      listener.call(this, payload);
+    };
+    wrapper.original = listener;
+    return this.on(type, wrapper);
+  }
+  
+  /**
+   * Call every listener for the type with the payload
+   */
+  emit(type, payload = {}) {
+    const listeners = this.listeners[type];
+    if (!listeners || listeners.length === 0) return this;
+    
+    const event = { type, target: this, ...payload };
+    listeners.slice().forEach(listener => listener.call(this, event));
+    return this;
+  }
+  
+  /**
+   * Check whether anything is listening, to skip building payloads
+   */
+  hasListeners(type) {
+    return Boolean(this.listeners[type] && this.listeners[type].length);
+  }
+}
+
+export default EventEmitter;
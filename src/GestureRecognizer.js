@@ -0,0 +1,121 @@
+/**
+ * GestureRecognizer - Tracks active pointers on a scene container and turns
+ * two-pointer input into pinch, rotate and two-finger pan gestures
+ * Emits gesturestart/gesturechange/gestureend on the scene
+ */
+class GestureRecognizer {
+  constructor(scene) {
+    this.scene = scene;
+    this.pointers = new Map(); // pointerId -> { clientX, clientY, pointerType }
+    this.start = null;
+    
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+  }
+  
+  attach() {
+    const container = this.scene.container;
+    container.addEventListener('pointerdown', this.handlePointerDown);
+    container.addEventListener('pointermove', this.handlePointerMove);
+    container.addEventListener('pointerup', this.handlePointerUp);
+    container.addEventListener('pointercancel', this.handlePointerUp);
+  }
+  
+  detach() {
+    const container = this.scene.container;
+    container.removeEventListener('pointerdown', this.handlePointerDown);
+    container.removeEventListener('pointermove', this.handlePointerMove);
+    container.removeEventListener('pointerup', this.handlePointerUp);
+    container.removeEventListener('pointercancel', this.handlePointerUp);
+    this.pointers.clear();
+    this.start = null;
+  }
+  
+  /**
+   * Number of pointers currently down
+   */
+  get pointerCount() {
+    return this.pointers.size;
+  }
+  
+  /**
+   * Whether a multi-pointer gesture is in progress
+   */
+  get active() {
+    return this.start !== null;
+  }
+  
+  handlePointerDown(e) {
+    this.pointers.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY, pointerType: e.pointerType });
+    
+    if (this.pointers.size === 2) {
+      // Keep receiving both pointers even if they leave the container
+      this.pointers.forEach((pointer, id) => this.capture(id));
+      this.start = this.measure();
+      this.scene.emit('gesturestart', { ...this.start, originalEvent: e });
+    }
+  }
+  
+  handlePointerMove(e) {
+    const pointer = this.pointers.get(e.pointerId);
+    if (!pointer) return;
+    
+    pointer.clientX = e.clientX;
+    pointer.clientY = e.clientY;
+    
+    if (!this.start) return;
+    
+    const current = this.measure();
+    let rotation = current.angle - this.start.angle;
+    if (rotation > 180) rotation -= 360;
+    if (rotation < -180) rotation += 360;
+    
+    this.scene.emit('gesturechange', {
+      clientX: current.clientX,
+      clientY: current.clientY,
+      startX: this.start.clientX,
+      startY: this.start.clientY,
+      scale: current.distance / this.start.distance,
+      rotation,
+      deltaX: current.clientX - this.start.clientX,
+      deltaY: current.clientY - this.start.clientY,
+      originalEvent: e
+    });
+  }
+  
+  handlePointerUp(e) {
+    if (!this.pointers.delete(e.pointerId)) return;
+    
+    if (this.start && this.pointers.size < 2) {
+      this.start = null;
+      this.scene.emit('gestureend', { originalEvent: e });
+    }
+  }
+  
+  /**
+   * Midpoint, distance and angle (degrees) of the first two pointers
+   */
+  measure() {
+    const [a, b] = Array.from(this.pointers.values());
+    return {
+      clientX: (a.clientX + b.clientX) / 2,
+      clientY: (a.clientY + b.clientY) / 2,
+      distance: Math.max(1, Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY)),
+      angle: Math.atan2(b.clientY - a.clientY, b.clientX - a.clientX) * 180 / Math.PI
+    };
+  }
+  
+  capture(pointerId) {
+    const container = this.scene.container;
+    if (container.setPointerCapture) {
+      try {
+        container.setPointerCapture(pointerId);
+      } catch (error) {
+        // The pointer is already gone
+      }
+    }
+  }
+}
+
+export default GestureRecognizer;
@@ -0,0 +1,134 @@
+/**
+ * LayerGroup - A layer that holds other layers and treats them as one unit
+ * Child depths are relative to the group's depth, and the group's opacity,
+ * scale and visibility apply to every child. Groups can be nested.
+ */
+import ParallaxLayer from './ParallaxLayer.js';
+
+class LayerGroup extends ParallaxLayer {
+  constructor(options = {}) {
+    super(options);
+    this.layers = [];
+    this.forwardChildEvent = event => this.emit(event.type, event);
+    
+    // Children keep their own z positions in perspective projection
+    this.element.classList.add('parallax-layer-group');
+    this.element.style.transformStyle = 'preserve-3d';
+    
+    (options.layers || []).forEach(layer => this.addLayer(layer));
+  }
+  
+  /**
+   * Add a child layer; its depth is relative to the group
+   */
+  addLayer(layer) {
+    if (this.layers.indexOf(layer) > -1) return layer;
+    if (layer.parent) {
+      layer.parent.removeLayer(layer);
+    } else if (layer.scene) {
+      layer.scene.removeLayer(layer);
+    }
+    
+    this.layers.push(layer);
+    layer.parent = this;
+    ParallaxLayer.FORWARDED_EVENTS.forEach(type => layer.on(type, this.forwardChildEvent));
+    
+    this.sortLayers();
+    layer.emit('add', { group: this });
+    this.requestRender();
+    return layer;
+  }
+  
+  /**
+   * Remove a child layer
+   */
+  removeLayer(layer) {
+    const index = this.layers.indexOf(layer);
+    if (index === -1) return;
+    
+    this.layers.splice(index, 1);
+    if (layer.element.parentNode === this.element) {
+      this.element.removeChild(layer.element);
+    }
+    ParallaxLayer.FORWARDED_EVENTS.forEach(type => layer.off(type, this.forwardChildEvent));
+    layer.parent = null;
+    layer.emit('remove', { group: this });
+  }
+  
+  /**
+   * Sort children by depth and re-order their elements (background to foreground)
+   */
+  sortLayers() {
+    this.layers.sort(ParallaxLayer.compareStack);
+    this.layers.forEach(layer => {
+      this.element.appendChild(layer.element);
+    });
+  }
+  
+  /**
+   * Remove every child layer
+   */
+  clear() {
+    this.layers.slice().forEach(layer => this.removeLayer(layer));
+  }
+  
+  /**
+   * Call back for every descendant layer, depth first
+   */
+  forEachLayer(callback) {
+    this.layers.forEach(layer => {
+      callback(layer);
+      if (layer instanceof LayerGroup) {
+        layer.forEachLayer(callback);
+      }
+    });
+  }
+  
+  /**
+   * Children fit their own edges; the group itself does not move
+   */
+  fitEdges() {}
+  
+  /**
+   * The group itself only applies its scale; children are positioned
+   * individually by the scene using their absolute depth
+   */
+  updatePosition() {
+    this.applyGroupTransform();
+  }
+  
+  updateDepthPosition() {
+    this.applyGroupTransform();
+  }
+  
+  applyGroupTransform() {
+    this.element.style.transform = this.scale !== 1 ? `scale(${this.scale})` : '';
+  }
+  
+  /**
+   * Focus is applied to each child, never to the group as a whole
+   */
+  setFocusEffect() {}
+  
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      type: 'group',
+      layers: this.layers.map(layer => layer.toJSON())
+    };
+  }
+  
+  /**
+   * Create a group and its children; context.createLayer builds each child
+   */
+  static fromJSON(json, context = {}) {
+    const group = super.fromJSON(json, context);
+    
+    if (context.createLayer) {
+      (json.layers || []).forEach(child => group.addLayer(context.createLayer(child)));
+    }
+    return group;
+  }
+}
+
+export default LayerGroup;
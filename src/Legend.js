@@ -0,0 +1,244 @@
+/**
+ * Legend - Key for a DataLayer's color and size encodings
+ * Continuous color becomes a gradient bar, categorical color a list of
+ * swatches, and size a row of graduated symbols. Categorical entries are
+ * buttons that hide or show the points in that category.
+ */
+import EventEmitter from './EventEmitter.js';
+import DataLayer from './DataLayer.js';
+
+const GRADIENT_STOPS = 10;
+
+class Legend extends EventEmitter {
+  constructor(layer, options = {}) {
+    super();
+    this.layer = layer;
+    this.channels = options.channels || null; // Defaults to the encoded color/size channels
+    this.titles = options.titles || {};       // channel -> title, overriding labels
+    this.position = options.position || 'top-right'; // Corner of the scene container
+    this.ticks = options.ticks !== undefined ? options.ticks : 4; // Gradient labels and size symbols
+    this.interactive = options.interactive !== false; // Categorical entries toggle points
+    this.container = options.container || null; // Render here instead of over the scene
+    
+    this.hidden = { color: new Set(), size: new Set() }; // channel -> hidden categories
+    this.element = document.createElement('div');
+    this.element.className = `parallax-legend parallax-legend-${this.position}`;
+    this.element.setAttribute('role', 'group');
+    this.element.setAttribute('aria-label', 'Legend');
+    
+    this.handleRender = () => this.render();
+    this.handleAdd = () => this.attach();
+    this.layer.on('render', this.handleRender);
+    this.layer.on('add', this.handleAdd);
+    this.attach();
+    this.render();
+  }
+  
+  /**
+   * Place the legend in its container, or over the layer's scene
+   */
+  attach() {
+    const scene = this.layer.getScene();
+    const parent = this.container || (scene ? scene.container : null);
+    if (parent && this.element.parentNode !== parent) {
+      if (!this.container) {
+        this.element.classList.add('is-overlay');
+      }
+      parent.appendChild(this.element);
+    }
+  }
+  
+  /**
+   * Channels to show: the given list, else whichever of color/size is encoded
+   */
+  getChannels() {
+    const dimensions = this.layer.dimensions || {};
+    return (this.channels || ['color', 'size']).filter(channel =>
+      dimensions[channel] && this.layer.getScale(channel));
+  }
+  
+  /**
+   * Redraw every entry from the layer's current scales
+   */
+  render() {
+    this.element.replaceChildren();
+    this.getChannels().forEach(channel => {
+      const scale = this.layer.getScale(channel);
+      const section = document.createElement('div');
+      section.className = `parallax-legend-section parallax-legend-${channel}`;
+      
+      const title = document.createElement('div');
+      title.className = 'parallax-legend-title';
+      title.textContent = this.titles[channel] || this.layer.getChannelLabel(channel);
+      section.appendChild(title);
+      
+      if (isCategorical(scale)) {
+        this.renderCategories(section, channel, scale);
+      } else if (channel === 'color') {
+        this.renderGradient(section, scale);
+      } else {
+        this.renderSymbols(section, scale);
+      }
+      this.element.appendChild(section);
+    });
+    this.element.hidden = this.element.children.length === 0;
+  }
+  
+  /**
+   * One swatch (or symbol, for size) per category
+   */
+  renderCategories(section, channel, scale) {
+    const format = scale.tickFormat();
+    scale.domain.forEach(value => {
+      const item = document.createElement(this.interactive ? 'button' : 'div');
+      item.className = 'parallax-legend-item';
+      const hidden = this.hidden[channel].has(value);
+      item.classList.toggle('is-hidden', hidden);
+      
+      const marker = channel === 'color'
+        ? createSwatch(this.layer.encodeValue('color', value))
+        : createSymbol(this.layer.encodeValue('size', value));
+      const label = document.createElement('span');
+      label.className = 'parallax-legend-label';
+      label.textContent = format(value);
+      item.appendChild(marker);
+      item.appendChild(label);
+      
+      if (this.interactive) {
+        item.type = 'button';
+        item.setAttribute('aria-pressed', String(!hidden));
+        item.addEventListener('click', () => this.toggle(value, channel));
+      }
+      section.appendChild(item);
+    });
+  }
+  
+  /**
+   * Gradient bar sampled along the scale's range, labelled at its ticks
+   */
+  renderGradient(section, scale) {
+    const [r0, r1] = [scale.range[0], scale.range[scale.range.length - 1]];
+    const stops = [];
+    for (let i = 0; i <= GRADIENT_STOPS; i++) {
+      const value = scale.invert(r0 + (r1 - r0) * i / GRADIENT_STOPS);
+      stops.push(`${this.layer.encodeValue('color', value)} ${i * 100 / GRADIENT_STOPS}%`);
+    }
+    
+    const bar = document.createElement('div');
+    bar.className = 'parallax-legend-gradient';
+    bar.style.backgroundImage = `linear-gradient(to right, ${stops.join(', ')})`;
+    section.appendChild(bar);
+    
+    const labels = document.createElement('div');
+    labels.className = 'parallax-legend-scale';
+    const format = scale.tickFormat(this.ticks);
+    scale.ticks(this.ticks).forEach(value => {
+      const offset = r1 === r0 ? 0 : (scale(value) - r0) / (r1 - r0);
+      if (!isFinite(offset) || offset < 0 || offset > 1) return;
+      const label = document.createElement('span');
+      label.className = 'parallax-legend-label';
+      label.style.left = `${offset * 100}%`;
+      label.textContent = format(value);
+      labels.appendChild(label);
+    });
+    section.appendChild(labels);
+  }
+  
+  /**
+   * Graduated symbols at a few round values of a continuous size scale
+   */
+  renderSymbols(section, scale) {
+    const format = scale.tickFormat(this.ticks);
+    const domain = scale.domain;
+    const values = scale.ticks(this.ticks).filter(value =>
+      value >= Math.min(domain[0], domain[domain.length - 1]) &&
+      value <= Math.max(domain[0], domain[domain.length - 1]));
+    
+    values.forEach(value => {
+      const item = document.createElement('div');
+      item.className = 'parallax-legend-item';
+      const label = document.createElement('span');
+      label.className = 'parallax-legend-label';
+      label.textContent = format(value);
+      item.appendChild(createSymbol(this.layer.encodeValue('size', value)));
+      item.appendChild(label);
+      section.appendChild(item);
+    });
+  }
+  
+  /**
+   * Hide or show the points in a category
+   */
+  toggle(value, channel = 'color') {
+    const hidden = this.hidden[channel];
+    if (hidden.has(value)) {
+      hidden.delete(value);
+    } else {
+      hidden.add(value);
+    }
+    this.applyFilter();
+    this.render();
+    this.emit('toggle', {
+      channel,
+      value,
+      hidden: hidden.has(value),
+      hiddenValues: Array.from(hidden)
+    });
+  }
+  
+  /**
+   * Show every category again
+   */
+  reset() {
+    this.hidden.color.clear();
+    this.hidden.size.clear();
+    this.applyFilter();
+    this.render();
+  }
+  
+  applyFilter() {
+    const active = Object.keys(this.hidden).filter(channel => this.hidden[channel].size > 0);
+    if (active.length === 0) {
+      this.layer.setPointFilter(null);
+      return;
+    }
+    
+    const dimensions = this.layer.dimensions || {};
+    this.layer.setPointFilter(data => active.every(channel => {
+      const field = DataLayer.getField(dimensions[channel]);
+      return !this.hidden[channel].has(data[field]);
+    }));
+  }
+  
+  destroy() {
+    this.layer.off('render', this.handleRender);
+    this.layer.off('add', this.handleAdd);
+    if (this.hidden.color.size > 0 || this.hidden.size.size > 0) {
+      this.layer.setPointFilter(null);
+    }
+    if (this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+}
+
+function isCategorical(scale) {
+  return scale.type === 'ordinal' || scale.type === 'band';
+}
+
+function createSwatch(color) {
+  const swatch = document.createElement('span');
+  swatch.className = 'parallax-legend-swatch';
+  swatch.style.backgroundColor = color;
+  return swatch;
+}
+
+function createSymbol(size) {
+  const symbol = document.createElement('span');
+  symbol.className = 'parallax-legend-symbol';
+  symbol.style.width = `${size}px`;
+  symbol.style.height = `${size}px`;
+  return symbol;
+}
+
+export default Legend;
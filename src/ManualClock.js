@@ -0,0 +1,56 @@
+/**
+ * ManualClock - A clock that only moves when told to
+ * Frames are never run on their own: drive the scene with scene.step(deltaTime),
+ * which advances this clock and fires any timers (tour holds) that fall due
+ */
+import Clock from './Clock.js';
+
+class ManualClock extends Clock {
+  constructor(startTime = 0) {
+    super();
+    this.time = startTime;
+    this.nextId = 1;
+    this.frames = new Map(); // id -> callback, run by the scene's step()
+    this.timers = [];        // { id, time, callback } in firing order
+  }
+  
+  now() {
+    return this.time;
+  }
+  
+  requestFrame(callback) {
+    const id = this.nextId++;
+    this.frames.set(id, callback);
+    return id;
+  }
+  
+  cancelFrame(id) {
+    this.frames.delete(id);
+  }
+  
+  setTimeout(callback, delay = 0) {
+    const id = this.nextId++;
+    this.timers.push({ id, time: this.time + delay, callback });
+    this.timers.sort((a, b) => a.time - b.time || a.id - b.id);
+    return id;
+  }
+  
+  clearTimeout(id) {
+    this.timers = this.timers.filter(timer => timer.id !== id);
+  }
+  
+  /**
+   * Move time forward, firing due timers at their scheduled time
+   */
+  advance(deltaTime) {
+    const end = this.time + deltaTime;
+    while (this.timers.length > 0 && this.timers[0].time <= end) {
+      const timer = this.timers.shift();
+      this.time = timer.time;
+      timer.callback();
+    }
+    this.time = end;
+  }
+}
+
+export default ManualClock;
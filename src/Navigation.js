@@ -0,0 +1,255 @@
+/**
+ * Navigation - Wheel/pinch zoom and drag/two-finger pan for a ParallaxScene
+ * Zoom is anchored at the cursor (or pinch midpoint), pan is kept within
+ * bounds, and a double click animates back to the initial view
+ */
+
+// Wheel delta in pixels for one line when deltaMode is DOM_DELTA_LINE
+const LINE_HEIGHT = 33;
+
+// Pointer travel in px before a press becomes a drag
+const DRAG_THRESHOLD = 4;
+
+class Navigation {
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.minZoom = options.minZoom !== undefined ? options.minZoom : 0.5;
+    this.maxZoom = options.maxZoom !== undefined ? options.maxZoom : 4;
+    this.zoomStep = options.zoomStep !== undefined ? options.zoomStep : 0.1; // Per wheel notch
+    
+    // 'contain' keeps the zoomed content covering the container,
+    // an object gives explicit { minX, maxX, minY, maxY } in px, null disables
+    this.panBounds = options.panBounds !== undefined ? options.panBounds : 'contain';
+    
+    this.wheel = options.wheel !== false;
+    this.drag = options.drag !== false;
+    this.pinch = options.pinch !== false;
+    this.doubleClickReset = options.doubleClickReset !== false;
+    this.resetDuration = options.resetDuration !== undefined ? options.resetDuration : 400;
+    
+    this.dragStart = null;
+    this.pinchStart = null;
+    
+    this.handleWheel = this.handleWheel.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleGestureStart = this.handleGestureStart.bind(this);
+    this.handleGestureChange = this.handleGestureChange.bind(this);
+    this.handleGestureEnd = this.handleGestureEnd.bind(this);
+    this.handleDoubleClick = this.handleDoubleClick.bind(this);
+  }
+  
+  attach() {
+    const container = this.scene.container;
+    container.classList.add('parallax-navigable'); // Styled with .is-dragging while panning
+    container.addEventListener('wheel', this.handleWheel, { passive: false });
+    container.addEventListener('pointerdown', this.handlePointerDown);
+    container.addEventListener('pointermove', this.handlePointerMove);
+    container.addEventListener('pointerup', this.handlePointerUp);
+    container.addEventListener('pointercancel', this.handlePointerUp);
+    container.addEventListener('dblclick', this.handleDoubleClick);
+    
+    // Two-finger pinch and pan come from the scene's gesture recognizer
+    this.scene.on('gesturestart', this.handleGestureStart);
+    this.scene.on('gesturechange', this.handleGestureChange);
+    this.scene.on('gestureend', this.handleGestureEnd);
+  }
+  
+  detach() {
+    const container = this.scene.container;
+    container.classList.remove('parallax-navigable');
+    container.removeEventListener('wheel', this.handleWheel, { passive: false });
+    container.removeEventListener('pointerdown', this.handlePointerDown);
+    container.removeEventListener('pointermove', this.handlePointerMove);
+    container.removeEventListener('pointerup', this.handlePointerUp);
+    container.removeEventListener('pointercancel', this.handlePointerUp);
+    container.removeEventListener('dblclick', this.handleDoubleClick);
+    
+    this.scene.off('gesturestart', this.handleGestureStart);
+    this.scene.off('gesturechange', this.handleGestureChange);
+    this.scene.off('gestureend', this.handleGestureEnd);
+    this.endDrag();
+  }
+  
+  handleWheel(e) {
+    if (!this.wheel) return;
+    e.preventDefault();
+    
+    const delta = e.deltaMode === 1 ? e.deltaY * LINE_HEIGHT : e.deltaY;
+    const factor = Math.pow(1 + this.zoomStep, -delta / 100);
+    this.zoomAt(this.scene.camera.zoom * factor, e.clientX, e.clientY);
+  }
+  
+  handlePointerDown(e) {
+    if (!this.drag || !e.isPrimary || (e.pointerType === 'mouse' && e.button !== 0)) return;
+    
+    const camera = this.scene.camera;
+    this.dragStart = {
+      pointerId: e.pointerId,
+      clientX: e.clientX,
+      clientY: e.clientY,
+      panX: camera.panX,
+      panY: camera.panY,
+      moved: false
+    };
+  }
+  
+  handlePointerMove(e) {
+    const start = this.dragStart;
+    if (!start || e.pointerId !== start.pointerId || this.pinchStart) return;
+    
+    const dx = e.clientX - start.clientX;
+    const dy = e.clientY - start.clientY;
+    
+    // Only start dragging past a small threshold, so clicks on points still land
+    if (!start.moved) {
+      if (Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+      start.moved = true;
+      this.scene.container.classList.add('is-dragging');
+      if (this.scene.container.setPointerCapture) {
+        try {
+          this.scene.container.setPointerCapture(e.pointerId);
+        } catch (error) {
+          // The pointer is already gone
+        }
+      }
+    }
+    
+    this.panTo(start.panX + dx, start.panY + dy);
+  }
+  
+  handlePointerUp(e) {
+    if (this.dragStart && e.pointerId === this.dragStart.pointerId) {
+      this.endDrag();
+    }
+  }
+  
+  endDrag() {
+    this.dragStart = null;
+    this.scene.container.classList.remove('is-dragging');
+  }
+  
+  handleGestureStart() {
+    if (!this.pinch) return;
+    
+    const camera = this.scene.camera;
+    this.endDrag();
+    this.pinchStart = { zoom: camera.zoom, panX: camera.panX, panY: camera.panY };
+  }
+  
+  handleGestureChange(e) {
+    if (!this.pinchStart) return;
+    
+    // Keep the content under the starting midpoint under the current midpoint
+    const start = this.pinchStart;
+    const zoom = this.clampZoom(start.zoom * e.scale);
+    const ratio = zoom / start.zoom;
+    const startPoint = this.toContainerPoint(e.startX, e.startY);
+    const point = this.toContainerPoint(e.clientX, e.clientY);
+    
+    this.setView(
+      zoom,
+      point.x - ratio * (startPoint.x - start.panX),
+      point.y - ratio * (startPoint.y - start.panY)
+    );
+  }
+  
+  handleGestureEnd() {
+    this.pinchStart = null;
+  }
+  
+  handleDoubleClick() {
+    if (this.doubleClickReset) {
+      this.reset();
+    }
+  }
+  
+  /**
+   * Convert a client coordinate to px relative to the container center
+   */
+  toContainerPoint(clientX, clientY) {
+    const rect = this.scene.container.getBoundingClientRect();
+    return {
+      x: clientX - rect.left - rect.width / 2,
+      y: clientY - rect.top - rect.height / 2
+    };
+  }
+  
+  clampZoom(zoom) {
+    return Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+  }
+  
+  /**
+   * Zoom while keeping the content under a client coordinate in place
+   */
+  zoomAt(zoom, clientX, clientY) {
+    const camera = this.scene.camera;
+    const nextZoom = this.clampZoom(zoom);
+    const ratio = nextZoom / camera.zoom;
+    const point = this.toContainerPoint(clientX, clientY);
+    
+    this.setView(
+      nextZoom,
+      point.x - ratio * (point.x - camera.panX),
+      point.y - ratio * (point.y - camera.panY)
+    );
+  }
+  
+  /**
+   * Pan to an offset in px, respecting the pan bounds
+   */
+  panTo(panX, panY) {
+    this.setView(this.scene.camera.zoom, panX, panY);
+  }
+  
+  panBy(dx, dy) {
+    const camera = this.scene.camera;
+    this.panTo(camera.panX + dx, camera.panY + dy);
+  }
+  
+  /**
+   * Apply a clamped view to the scene camera and announce it
+   */
+  setView(zoom, panX, panY) {
+    const pan = this.clampPan(panX, panY, zoom);
+    this.scene.setCamera({ zoom, panX: pan.x, panY: pan.y });
+    this.scene.emit('navigate', { zoom, panX: pan.x, panY: pan.y });
+  }
+  
+  clampPan(panX, panY, zoom) {
+    const bounds = this.getPanBounds(zoom);
+    if (!bounds) return { x: panX, y: panY };
+    return {
+      x: Math.max(bounds.minX, Math.min(bounds.maxX, panX)),
+      y: Math.max(bounds.minY, Math.min(bounds.maxY, panY))
+    };
+  }
+  
+  getPanBounds(zoom) {
+    if (!this.panBounds) return null;
+    if (this.panBounds !== 'contain') return this.panBounds;
+    
+    // Content may move until its edge reaches the container edge
+    const size = this.scene.getSize();
+    const maxX = Math.max(0, (zoom - 1) * size.width / 2);
+    const maxY = Math.max(0, (zoom - 1) * size.height / 2);
+    return { minX: -maxX, maxX, minY: -maxY, maxY };
+  }
+  
+  /**
+   * Animate back to the unzoomed, unpanned view
+   */
+  reset(options = {}) {
+    const duration = options.duration !== undefined ? options.duration : this.resetDuration;
+    return this.scene.animateCamera({ zoom: 1, panX: 0, panY: 0 }, { ...options, duration })
+      .then(arrived => {
+        if (arrived) {
+          this.scene.emit('navigate', { zoom: 1, panX: 0, panY: 0 });
+        }
+        return arrived;
+      });
+  }
+}
+
+export default Navigation;
@@ -2,17 +2,49 @@
  * ParallaxLayer - Represents a single layer in the parallax scene
  * Each layer has a depth value that determines its parallax effect strength
  */
-class ParallaxLayer {
+import EventEmitter from './EventEmitter.js';
+import EdgeMirror from './EdgeMirror.js';
+
+let layerSeed = 0;
+
+class ParallaxLayer extends EventEmitter {
   constructor(options = {}) {
+    super();
+    layerSeed += 1;
+    this.id = options.id || `layer-${layerSeed}`;
+    this.name = options.name || '';
     this.depth = options.depth || 0; // 0 = background, higher = closer to viewer
+    this.stackOrder = layerSeed; // Breaks ties between layers at the same depth
+    this.parallaxStrength = options.parallaxStrength !== undefined ? options.parallaxStrength : 1; // Multiplies the scene strength
     this.element = options.element || this.createLayerElement();
     this.offsetX = 0;
     this.offsetY = 0;
     this.dataPoints = [];
+    this.scene = null; // Set while the layer is part of a scene
+    this.parent = null; // Set while the layer is part of a LayerGroup
     
     // Visual properties
     this.opacity = options.opacity !== undefined ? options.opacity : 1;
     this.scale = options.scale || 1;
+    this.blur = options.blur || 0; // px
+    this.blendMode = options.blendMode || 'normal';
+    this.visible = options.visible !== false;
+    this.scrollRange = options.scrollRange || null; // { start, end } of scroll progress in scroll mode
+    this.edges = options.edges || null; // 'none', 'overscan', 'clamp', 'mirror' or 'fade'; null follows the scene
+    
+    // Model fields the core does not use (tint, chartConfig, ...), kept for toJSON()
+    this.metadata = options.metadata || {};
+    
+    // Edge handling fitted by the scene to the layer's parallax reach
+    this.edgeMode = 'none';
+    this.edgeScale = 1;
+    this.edgeSize = null;
+    this.edgeMirror = null;
+    
+    // Depth-of-field effect applied by the scene's focus plane
+    this.focusBlur = 0;
+    this.focusOpacity = 1;
+    this.blurApplied = false;
     
     // Apply initial styles
     this.applyStyles();
@@ -30,26 +62,199 @@ class ParallaxLayer {
   }
   
   applyStyles() {
-    this.element.style.opacity = this.opacity;
+    this.element.style.opacity = this.opacity * this.focusOpacity;
+    this.element.style.mixBlendMode = this.blendMode;
+    this.element.style.display = this.visible ? '' : 'none';
     this.element.style.willChange = 'transform';
+    
+    // Only touch the filter when blurring, so custom element filters survive
+    const blur = this.blur + this.focusBlur;
+    if (blur > 0) {
+      this.element.style.filter = `blur(${blur}px)`;
+      this.blurApplied = true;
+    } else if (this.blurApplied) {
+      this.element.style.filter = '';
+      this.blurApplied = false;
+    }
+  }
+  
+  /**
+   * Apply blur and opacity falloff from the scene's focus plane
+   */
+  setFocusEffect(blur, opacity) {
+    if (blur === this.focusBlur && opacity === this.focusOpacity) return;
+    this.focusBlur = blur;
+    this.focusOpacity = opacity;
+    this.applyStyles();
+  }
+  
+  /**
+   * Keep the layer covering the viewport given how far parallax can move it
+   * reach: largest offset in px on each axis, size: container size
+   */
+  fitEdges(reach, size, sceneMode) {
+    const mode = this.edges || sceneMode || 'none';
+    if (mode !== this.edgeMode) {
+      if (this.edgeMode === 'fade') {
+        this.element.style.maskImage = '';
+        this.element.style.webkitMaskImage = '';
+      }
+      if (this.edgeMirror) {
+        this.edgeMirror.destroy();
+        this.edgeMirror = null;
+      }
+      if (mode === 'mirror') {
+        this.edgeMirror = new EdgeMirror(this);
+      }
+      this.edgeMode = mode;
+    }
+    
+    this.edgeSize = size;
+    this.edgeScale = 1;
+    if (mode === 'overscan' && size.width > 0 && size.height > 0) {
+      // Scaling about the centre adds (scale - 1) / 2 of the size on each side
+      this.edgeScale = Math.max(1 + 2 * reach.x / size.width, 1 + 2 * reach.y / size.height);
+    } else if (mode === 'fade' && size.width > 0 && size.height > 0) {
+      const fadeX = Math.min(50, reach.x / size.width * 100);
+      const fadeY = Math.min(50, reach.y / size.height * 100);
+      const mask = `linear-gradient(to right, transparent, #000 ${fadeX}%, #000 ${100 - fadeX}%, transparent), ` +
+        `linear-gradient(to bottom, transparent, #000 ${fadeY}%, #000 ${100 - fadeY}%, transparent)`;
+      this.element.style.maskImage = mask;
+      this.element.style.maskComposite = 'intersect';
+      this.element.style.webkitMaskImage = mask;
+      this.element.style.webkitMaskComposite = 'source-in';
+    } else if (mode === 'mirror') {
+      this.edgeMirror.update();
+    }
+  }
+  
+  /**
+   * Change depth and re-sort the stack this layer belongs to
+   */
+  setDepth(depth) {
+    if (depth === this.depth) return;
+    this.depth = depth;
+    
+    const owner = this.parent || this.scene;
+    if (owner) {
+      owner.sortLayers();
+    }
+    this.emit('depthchange', { depth });
+    this.requestRender();
+  }
+  
+  /**
+   * Update visual properties: opacity, scale, blur, blendMode
+   */
+  setStyle(style) {
+    ['opacity', 'scale', 'blur', 'blendMode'].forEach(key => {
+      if (style[key] !== undefined) {
+        this[key] = style[key];
+      }
+    });
+    this.applyStyles();
+    this.requestRender();
+  }
+  
+  /**
+   * Show or hide the layer
+   */
+  setVisible(visible) {
+    if (visible === this.visible) return;
+    this.visible = visible;
+    this.applyStyles();
+    this.emit(visible ? 'show' : 'hide');
+    this.requestRender();
+  }
+  
+  show() {
+    this.setVisible(true);
+  }
+  
+  hide() {
+    this.setVisible(false);
+  }
+  
+  /**
+   * Depth in the scene, adding the depths of enclosing groups
+   */
+  getWorldDepth() {
+    return this.parent ? this.parent.getWorldDepth() + this.depth : this.depth;
+  }
+  
+  /**
+   * Whether the layer is shown, which needs its enclosing groups shown too
+   */
+  isVisible() {
+    return this.visible && (!this.parent || this.parent.isVisible());
   }
   
   /**
-   * Update layer position based on parallax offset
+   * Parallax strength multiplier, including those of enclosing groups
    */
-  updatePosition(deltaX, deltaY, parallaxStrength = 1) {
+  getWorldParallaxStrength() {
+    return this.parent
+      ? this.parent.getWorldParallaxStrength() * this.parallaxStrength
+      : this.parallaxStrength;
+  }
+  
+  /**
+   * The scene this layer renders in, directly or through its groups
+   */
+  getScene() {
+    if (this.scene) return this.scene;
+    return this.parent ? this.parent.getScene() : null;
+  }
+  
+  /**
+   * Ask the scene for a new frame after a change
+   */
+  requestRender() {
+    const scene = this.getScene();
+    if (scene) {
+      scene.wake();
+    }
+  }
+  
+  /**
+   * Update layer position based on parallax offset, camera zoom and pan
+   */
+  updatePosition(deltaX, deltaY, parallaxStrength = 1, zoom = 1, panX = 0, panY = 0) {
     // Apply depth-based parallax effect
     // Layers with higher depth move more (appear closer)
-    const depthMultiplier = this.depth * parallaxStrength;
-    this.offsetX = deltaX * depthMultiplier;
-    this.offsetY = deltaY * depthMultiplier;
+    const depthMultiplier = this.getWorldDepth() * parallaxStrength * this.getWorldParallaxStrength();
+    const scale = this.scale * zoom * this.edgeScale;
+    let parallaxX = deltaX * depthMultiplier;
+    let parallaxY = deltaY * depthMultiplier;
+    
+    // Clamping keeps parallax within the margin the layer's own scale provides
+    if (this.edgeMode === 'clamp' && this.edgeSize) {
+      const marginX = Math.max(0, (scale - 1) * this.edgeSize.width / 2);
+      const marginY = Math.max(0, (scale - 1) * this.edgeSize.height / 2);
+      parallaxX = Math.max(-marginX, Math.min(marginX, parallaxX));
+      parallaxY = Math.max(-marginY, Math.min(marginY, parallaxY));
+    }
+    this.offsetX = parallaxX + panX;
+    this.offsetY = parallaxY + panY;
     
     // Apply transform
-    const scaleTransform = this.scale !== 1 ? ` scale(${this.scale})` : '';
+    const scaleTransform = scale !== 1 ? ` scale(${scale})` : '';
     this.element.style.transform = 
       `translate3d(${this.offsetX}px, ${this.offsetY}px, 0)${scaleTransform}`;
   }
   
+  /**
+   * Place the layer along the z axis for perspective projection
+   */
+  updateDepthPosition(translateZ, zoom = 1) {
+    this.offsetX = 0;
+    this.offsetY = 0;
+    
+    const scale = this.scale * zoom;
+    const scaleTransform = scale !== 1 ? ` scale(${scale})` : '';
+    this.element.style.transform = `translate3d(0, 0, ${translateZ}px)${scaleTransform}`;
+  }
+  
   /**
    * Add a data point visualization to this layer
    */
@@ -74,6 +279,91 @@ class ParallaxLayer {
   getOffset() {
     return { x: this.offsetX, y: this.offsetY };
   }
+  
+  /**
+   * Stacking order: by depth, then by stackOrder for equal depths
+   */
+  static compareStack(a, b) {
+    return a.depth - b.depth || a.stackOrder - b.stackOrder;
+  }
+  
+  /**
+   * Serialize to the Chart Layer JSON model
+   */
+  toJSON() {
+    return {
+      ...this.metadata,
+      id: this.id,
+      name: this.name,
+      type: 'layer',
+      depth: this.depth,
+      parallaxStrength: this.parallaxStrength,
+      opacity: this.opacity,
+      scale: this.scale,
+      blur: this.blur,
+      blendMode: this.blendMode,
+      visible: this.visible,
+      scrollRange: this.scrollRange,
+      edges: this.edges
+    };
+  }
+  
+  /**
+   * Create a layer from the Chart Layer JSON model
+   * context.resolveImageSource(imageSource, json) can supply the layer content
+   * (e.g. a canvas snapshot); { type: 'image', src } sources load natively
+   */
+  static fromJSON(json, context = {}) {
+    const layer = new this(this.optionsFromJSON(json, context));
+    layer.metadata = { ...json };
+    
+    const content = this.resolveContent(json, context);
+    if (content) {
+      layer.element.appendChild(content);
+    }
+    return layer;
+  }
+  
+  /**
+   * Constructor options for a model entry; subclasses add their own
+   */
+  static optionsFromJSON(json) {
+    return {
+      id: json.id,
+      name: json.name,
+      depth: json.depth,
+      parallaxStrength: json.parallaxStrength,
+      opacity: json.opacity,
+      scale: json.scale,
+      blur: json.blur,
+      blendMode: json.blendMode,
+      visible: json.visible,
+      scrollRange: json.scrollRange,
+      edges: json.edges
+    };
+  }
+  
+  static resolveContent(json, context) {
+    const source = json.imageSource;
+    if (!source) return null;
+    
+    if (context.resolveImageSource) {
+      const content = context.resolveImageSource(source, json);
+      if (content) return content;
+    }
+    
+    if (source.type === 'image' && source.src) {
+      const image = document.createElement('img');
+      image.className = 'parallax-layer-image';
+      image.src = source.src;
+      image.alt = json.name || '';
+      return image;
+    }
+    return null;
+  }
 }
 
+// Point events that groups and scenes re-emit from the layers they hold
+ParallaxLayer.FORWARDED_EVENTS = ['pointhover', 'pointleave', 'pointclick', 'pointfocus', 'pointblur'];
+
 export default ParallaxLayer;
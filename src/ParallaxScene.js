@@ -2,8 +2,50 @@
  * ParallaxScene - Manages multiple parallax layers and handles user interaction
  * This is the main controller for the 2.5D parallax visualization
  */
-class ParallaxScene {
+import EventEmitter from './EventEmitter.js';
+import ParallaxLayer from './ParallaxLayer.js';
+import DataLayer from './DataLayer.js';
+import LayerGroup from './LayerGroup.js';
+import AxisLayer from './AxisLayer.js';
+import PointerInput from './input/PointerInput.js';
+import CameraTour from './CameraTour.js';
+import Navigation from './Navigation.js';
+import GestureRecognizer from './GestureRecognizer.js';
+import ScrollController from './ScrollController.js';
+import SelectionController from './SelectionController.js';
+import Tooltip from './Tooltip.js';
+import StereoRenderer from './StereoRenderer.js';
+import Tween from './Tween.js';
+import Clock from './Clock.js';
+
+// Touch policies and the CSS touch-action each one maps to
+const TOUCH_POLICIES = {
+  none: 'none',     // Every touch gesture drives the scene, the page never scrolls
+  'pan-y': 'pan-y', // Vertical swipes scroll the page, horizontal drags drive the scene
+  'pan-x': 'pan-x', // Horizontal swipes scroll, vertical drags drive the scene
+  auto: 'auto'      // The browser handles touch; taps still reach the scene
+};
+
+// Layer classes by the `type` field of the JSON model
+const LAYER_TYPES = {
+  layer: ParallaxLayer,
+  data: DataLayer,
+  group: LayerGroup,
+  axis: AxisLayer
+};
+
+// Model sections read by loadJSON(); everything else is kept in scene.metadata
+const MODEL_KEYS = ['parallax', 'camera', 'focus', 'layers'];
+
+// Smoothing is defined per frame at this duration (60Hz)
+const FRAME_DURATION = 1000 / 60;
+
+// Distance below which the smoothed position counts as settled
+const SETTLE_THRESHOLD = 0.0005;
+
+class ParallaxScene extends EventEmitter {
   constructor(container, options = {}) {
+    super();
     this.container = typeof container === 'string' 
       ? document.querySelector(container) 
       : container;
@@ -13,86 +55,661 @@ class ParallaxScene {
     }
     
     this.layers = [];
+    this.layerContainer = this.container; // Becomes a 3D stage in perspective projection
+    this.forwardLayerEvent = event => this.emit(event.type, event);
     this.parallaxStrength = options.parallaxStrength || 0.05;
-    this.smoothing = options.smoothing || 0.1; // For smooth animations
+    this.smoothing = options.smoothing || 0.1; // Fraction of the gap closed per 60Hz frame
+    this.edges = options.edges || 'none'; // How layers hide their edges: 'none', 'overscan', 'clamp', 'mirror', 'fade'
     this.interactive = options.interactive !== false; // Default true
     
-    // Mouse/touch position tracking
-    this.mouseX = 0;
-    this.mouseY = 0;
+    // Target position blended from input providers, and the smoothed position
+    this.targetX = 0;
+    this.targetY = 0;
     this.currentX = 0;
     this.currentY = 0;
     
-    // Animation frame
+    // Camera set from code (panTo, zoomTo, tours) or navigation, applied on top of input
+    // x/y tilt the parallax view (-1 to 1), panX/panY translate the content in px
+    this.camera = { x: 0, y: 0, zoom: 1, panX: 0, panY: 0 };
+    this.depthZoom = options.depthZoom || 0; // 0 = uniform zoom, 1 = zoom strongly by depth
+    this.navigation = null;
+    this.scrollController = null; // Set in scroll-driven mode
+    this.selectionController = null;
+    this.selection = null; // Selection model while selection is enabled
+    this.tooltip = null;
+    this.link = null; // SceneLink sharing this scene's camera with others
+    this.cameraTransition = null;
+    this.tour = null;
+    
+    // Projection: 'translate' slides layers by depth, 'perspective' places them
+    // along the z axis and tilts the whole stack with input
+    this.projection = 'translate';
+    this.perspective = {
+      distance: 1000,     // CSS perspective in px
+      maxTilt: 8,         // Degrees of rotation at full input deflection
+      origin: '50% 50%',  // CSS perspective-origin
+      depthSpacing: 120,  // translateZ in px per unit of layer depth
+      compensateScale: true // Keep layers at their natural size despite translateZ
+    };
+    this.stage = null;
+    
+    // Stereo output: null for a single (mono) view
+    this.stereo = null;
+    
+    // Depth-of-field focus plane; depth null means everything is sharp
+    this.focus = {
+      depth: null,
+      aperture: 8,        // Blur in px per unit of depth outside the focus range
+      range: 0.1,         // Depth distance that stays fully sharp
+      maxBlur: 20,
+      opacityFalloff: 0.3, // Opacity lost per unit of depth outside the focus range
+      minOpacity: 0.2
+    };
+    this.configureFocus(options.focus || {});
+    this.focusTransition = null;
+    this.autoFocusOptions = null;
+    
+    // Animation frame - the loop sleeps once everything comes to rest
+    this.clock = options.clock || new Clock(); // Inject a ManualClock to step time by hand
+    this.animate = this.animate.bind(this);
+    this.handleAnimationFrame = time => {
+      this.animationFrameId = null;
+      this.animate(time);
+    };
     this.animationFrameId = null;
+    this.lastFrameTime = null;
+    this.settled = true;
+    
+    // Pausing: explicit pause(), offscreen container or hidden tab
+    this.paused = false;
+    this.destroyed = false;
+    this.pauseWhenHidden = options.pauseWhenHidden !== false;
+    this.inViewport = true;
+    
+    // Cached container size, kept current by a ResizeObserver
+    this.size = null;
+    
+    // prefers-reduced-motion handling: 'reduce' scales motion down,
+    // 'static' disables input parallax and animated camera moves, 'ignore' opts out
+    this.reducedMotion = options.reducedMotion || 'reduce';
+    this.reducedMotionScale = options.reducedMotionScale !== undefined ? options.reducedMotionScale : 0.3;
+    this.prefersReducedMotion = false;
+    
+    // Pointer tracking for multi-touch gestures, and how touch shares the page
+    this.gestures = new GestureRecognizer(this);
+    this.touchPolicy = options.touchPolicy || 'none';
+    
+    // Input providers (pointer, orientation, keyboard, ...)
+    this.inputs = [];
+    this.inputLocked = false; // Ignore input while a tour is playing
+    const inputs = options.inputs || (this.interactive ? [new PointerInput()] : []);
+    inputs.forEach(input => this.addInput(input));
+    
+    if (options.projection || options.perspective) {
+      this.setProjection(options.projection || this.projection, options.perspective);
+    }
+    if (options.navigation) {
+      this.enableNavigation(options.navigation === true ? {} : options.navigation);
+    }
     
     this.init();
+    
+    if (options.output && options.output !== 'mono') {
+      this.setOutputMode(options.output, options.stereo);
+    }
+    
+    // After init so a pinned container keeps its sticky positioning
+    if (options.scroll) {
+      this.enableScrollMode(options.scroll === true ? {} : options.scroll);
+    }
+    if (options.selection) {
+      this.enableSelection(options.selection === true ? {} : options.selection);
+    }
+    if (options.tooltip !== false) {
+      this.enableTooltips(options.tooltip && options.tooltip !== true ? options.tooltip : {});
+    }
   }
   
   init() {
     // Set up container
     this.container.style.position = 'relative';
     this.container.style.overflow = 'hidden';
+    this.setTouchPolicy(this.touchPolicy);
+    this.gestures.attach();
     
-    // Bind event handlers
-    if (this.interactive) {
-      this.bindEvents();
+    this.observeContainer();
+    this.watchReducedMotion();
+    
+    if (this.focus.auto) {
+      this.setAutoFocus(true, this.focus.auto === true ? {} : this.focus.auto);
     }
     
-    // Start animation loop
+    // Render the first frame; the loop keeps itself running while anything moves
     this.animate();
   }
   
-  bindEvents() {
-    // Mouse events
-    this.container.addEventListener('mousemove', this.handleMouseMove.bind(this));
-    this.container.addEventListener('mouseleave', this.handleMouseLeave.bind(this));
+  /**
+   * Cache the container size and track whether it is on screen
+   */
+  observeContainer() {
+    this.handleVisibilityChange = () => {
+      if (this.canRun()) {
+        this.wake();
+      } else {
+        this.cancelFrame();
+      }
+    };
+    
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(entries => {
+        const rect = entries[entries.length - 1].contentRect;
+        this.size = { width: rect.width, height: rect.height };
+        this.wake();
+      });
+      this.resizeObserver.observe(this.container);
+    }
+    
+    if (!this.pauseWhenHidden) return;
+    
+    if (typeof IntersectionObserver !== 'undefined') {
+      this.intersectionObserver = new IntersectionObserver(entries => {
+        this.inViewport = entries[entries.length - 1].isIntersecting;
+        this.handleVisibilityChange();
+      });
+      this.intersectionObserver.observe(this.container);
+    }
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+  }
+  
+  /**
+   * Follow the user's prefers-reduced-motion setting
+   */
+  watchReducedMotion() {
+    if (this.reducedMotion === 'ignore' || typeof window === 'undefined' || !window.matchMedia) return;
+    
+    this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.handleReducedMotionChange = () => {
+      this.prefersReducedMotion = this.reducedMotionQuery.matches;
+      this.wake();
+    };
+    this.handleReducedMotionChange();
     
-    // Touch events for mobile
-    this.container.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
-    this.container.addEventListener('touchend', this.handleMouseLeave.bind(this));
+    if (this.reducedMotionQuery.addEventListener) {
+      this.reducedMotionQuery.addEventListener('change', this.handleReducedMotionChange);
+    }
+  }
+  
+  /**
+   * Whether motion should be limited for this user
+   */
+  isReducedMotion(mode) {
+    return this.prefersReducedMotion && this.reducedMotion === mode;
   }
   
-  handleMouseMove(e) {
+  /**
+   * Container size, measured directly when no ResizeObserver is available
+   */
+  getSize() {
+    if (this.size) return this.size;
     const rect = this.container.getBoundingClientRect();
-    // Normalize to -1 to 1 range
-    this.mouseX = ((e.clientX - rect.left) / rect.width - 0.5) * 2;
-    this.mouseY = ((e.clientY - rect.top) / rect.height - 0.5) * 2;
+    return { width: rect.width, height: rect.height };
   }
   
-  handleTouchMove(e) {
-    if (e.touches.length > 0) {
-      const rect = this.container.getBoundingClientRect();
-      this.mouseX = ((e.touches[0].clientX - rect.left) / rect.width - 0.5) * 2;
-      this.mouseY = ((e.touches[0].clientY - rect.top) / rect.height - 0.5) * 2;
-      e.preventDefault();
+  /**
+   * Decide how touch input is shared with page scrolling
+   * 'none', 'pan-y', 'pan-x' or 'auto' (see TOUCH_POLICIES)
+   */
+  setTouchPolicy(policy) {
+    if (!TOUCH_POLICIES[policy]) {
+      throw new Error(`Unknown touch policy: ${policy}`);
     }
+    this.touchPolicy = policy;
+    this.container.style.touchAction = TOUCH_POLICIES[policy];
   }
   
-  handleMouseLeave() {
-    // Return to center when mouse leaves
-    this.mouseX = 0;
-    this.mouseY = 0;
+  /**
+   * Attach an input provider, optionally overriding its blend weight
+   */
+  addInput(input, weight) {
+    if (weight !== undefined) {
+      input.setWeight(weight);
+    }
+    if (this.inputs.indexOf(input) === -1) {
+      this.inputs.push(input);
+      input.attach(this);
+      this.emit('inputadd', { input });
+    }
+    return input;
   }
   
   /**
-   * Add a layer to the scene
+   * Detach an input provider
    */
-  addLayer(layer) {
-    this.layers.push(layer);
-    this.container.appendChild(layer.element);
+  removeInput(input) {
+    const index = this.inputs.indexOf(input);
+    if (index > -1) {
+      this.inputs.splice(index, 1);
+      input.detach();
+      this.emit('inputremove', { input });
+    }
+  }
+  
+  /**
+   * Replace all input providers at once
+   */
+  setInputs(inputs) {
+    this.inputs.slice().forEach(input => this.removeInput(input));
+    inputs.forEach(input => this.addInput(input));
+  }
+  
+  /**
+   * Get an input provider by name
+   */
+  getInput(name) {
+    return this.inputs.find(input => input.name === name);
+  }
+  
+  /**
+   * Poll input providers and blend their positions by weight
+   * Providers with nothing to report are left out, so with no active
+   * input the scene returns to center
+   */
+  updateInputs(deltaTime) {
+    let x = 0;
+    let y = 0;
+    let totalWeight = 0;
+    
+    this.inputs.forEach(input => {
+      input.update(deltaTime);
+      const value = input.getValue();
+      if (value && input.weight > 0) {
+        x += value.x * input.weight;
+        y += value.y * input.weight;
+        totalWeight += input.weight;
+      }
+    });
+    
+    if (this.inputLocked || totalWeight === 0 || this.isReducedMotion('static')) {
+      this.targetX = 0;
+      this.targetY = 0;
+    } else {
+      this.targetX = x / totalWeight;
+      this.targetY = y / totalWeight;
+    }
+  }
+  
+  /**
+   * Move the camera to a position (-1 to 1, like pointer input)
+   * Resolves true on arrival, false if interrupted by another camera move
+   */
+  panTo(x, y, options = {}) {
+    return this.animateCamera({ x, y }, options);
+  }
+  
+  /**
+   * Zoom the camera, where 1 is the natural layer scale
+   */
+  zoomTo(zoom, options = {}) {
+    return this.animateCamera({ zoom }, options);
+  }
+  
+  /**
+   * Animate any of the camera's x, y, zoom, panX and panY
+   * Options: duration (ms, default 1000), easing (name or function), onUpdate(t)
+   */
+  animateCamera(target, options = {}) {
+    this.stopCamera();
+    
+    const to = {};
+    Object.keys(this.camera).forEach(key => {
+      to[key] = target[key] !== undefined ? target[key] : this.camera[key];
+    });
+    
+    this.cameraTransition = this.startTween(this.camera, to, options);
+    return this.cameraTransition.finished;
+  }
+  
+  /**
+   * Create a tween driven by the frame loop
+   * Under reduced motion 'static' it completes on the next frame
+   */
+  startTween(target, to, options = {}) {
+    const duration = this.isReducedMotion('static') ? 0
+      : (options.duration !== undefined ? options.duration : 1000);
+    const tween = new Tween(target, to, { ...options, duration });
+    this.wake();
+    return tween;
+  }
+  
+  /**
+   * Advance running camera and focus transitions
+   */
+  updateTransitions(deltaTime) {
+    if (this.cameraTransition && this.cameraTransition.step(deltaTime)) {
+      this.cameraTransition = null;
+    }
+    if (this.focusTransition && this.focusTransition.step(deltaTime)) {
+      this.focusTransition = null;
+    }
+  }
+  
+  /**
+   * Stop the running camera transition where it is
+   */
+  stopCamera() {
+    if (this.cameraTransition) {
+      this.cameraTransition.stop();
+      this.cameraTransition = null;
+    }
+  }
+  
+  /**
+   * Jump the camera without animating
+   */
+  setCamera(camera) {
+    this.stopCamera();
+    Object.assign(this.camera, camera);
+    this.wake();
+  }
+  
+  getCamera() {
+    return { ...this.camera };
+  }
+  
+  /**
+   * Turn on wheel/pinch zoom, drag pan and double-click reset
+   * Options: minZoom, maxZoom, zoomStep, panBounds, wheel, drag, pinch, doubleClickReset
+   */
+  enableNavigation(options = {}) {
+    this.disableNavigation();
+    this.navigation = new Navigation(this, options);
+    this.navigation.attach();
+    return this.navigation;
+  }
+  
+  disableNavigation() {
+    if (this.navigation) {
+      this.navigation.detach();
+      this.navigation = null;
+    }
+  }
+  
+  /**
+   * Select data by click, brush or lasso across every data layer
+   * Options: tool ('brush', 'lasso' or null), multiKey, layers, selectedClass,
+   * dimmedClass, dimOpacity, clearOnEmptyClick
+   */
+  enableSelection(options = {}) {
+    this.disableSelection();
+    this.selectionController = new SelectionController(this, options);
+    this.selectionController.attach();
+    this.selection = this.selectionController.selection;
+    return this.selectionController;
+  }
+  
+  disableSelection() {
+    if (this.selectionController) {
+      this.selectionController.detach();
+      this.selectionController = null;
+      this.selection = null;
+    }
+  }
+  
+  /**
+   * Styled tooltips for data marks on hover, focus and touch
+   * Options: fields, labels, format, template, formatter, placement, offset, touch
+   */
+  enableTooltips(options = {}) {
+    this.disableTooltips();
+    this.tooltip = new Tooltip(this, options);
+    this.tooltip.attach();
+    return this.tooltip;
+  }
+  
+  disableTooltips() {
+    if (this.tooltip) {
+      this.tooltip.detach();
+      this.tooltip = null;
+    }
+  }
+  
+  /**
+   * Drive layer offsets from page scroll
+   * Options: source, distance, pin, track, steps, triggerOffset (see ScrollController)
+   */
+  enableScrollMode(options = {}) {
+    this.disableScrollMode();
+    this.scrollController = new ScrollController(this, options);
+    this.scrollController.attach();
+    this.wake();
+    return this.scrollController;
+  }
+  
+  disableScrollMode() {
+    if (this.scrollController) {
+      this.scrollController.detach();
+      this.scrollController = null;
+      this.wake();
+    }
+  }
+  
+  /**
+   * Zoom for a layer at the given depth; with depthZoom near layers scale
+   * more than far ones, and depth 1 always follows the camera zoom exactly
+   */
+  getLayerZoom(depth) {
+    if (!this.depthZoom) return this.camera.zoom;
+    return Math.pow(this.camera.zoom, Math.max(0, 1 + this.depthZoom * (depth - 1)));
+  }
+  
+  /**
+   * Switch between 'translate' and 'perspective' projection
+   * Perspective options: distance, maxTilt, origin, depthSpacing, compensateScale
+   */
+  setProjection(projection, options = {}) {
+    Object.assign(this.perspective, options);
+    this.projection = projection === 'perspective' ? 'perspective' : 'translate';
+    
+    if (this.projection === 'perspective') {
+      // Stereo views are built from translated layers
+      this.setOutputMode('mono');
+      this.container.style.perspective = `${this.perspective.distance}px`;
+      this.container.style.perspectiveOrigin = this.perspective.origin;
+      
+      if (!this.stage) {
+        this.stage = document.createElement('div');
+        this.stage.className = 'parallax-perspective-stage';
+        this.stage.style.position = 'absolute';
+        this.stage.style.width = '100%';
+        this.stage.style.height = '100%';
+        this.stage.style.top = '0';
+        this.stage.style.left = '0';
+        this.stage.style.transformStyle = 'preserve-3d';
+        this.container.appendChild(this.stage);
+        this.moveLayerElements(this.stage);
+      }
+    } else {
+      this.container.style.perspective = '';
+      this.container.style.perspectiveOrigin = '';
+      
+      if (this.stage) {
+        const stage = this.stage;
+        this.stage = null;
+        this.moveLayerElements(this.container);
+        this.container.removeChild(stage);
+      }
+    }
     
-    // Sort layers by depth (background to foreground)
-    this.layers.sort((a, b) => a.depth - b.depth);
+    this.wake();
+  }
+  
+  /**
+   * Switch between 'mono', 'side-by-side' and 'anaglyph' output
+   * Options: separation (px of disparity per unit of depth), convergence (depth at the screen plane)
+   */
+  setOutputMode(mode, options = {}) {
+    if (this.stereo) {
+      this.stereo.detach();
+      this.stereo = null;
+    }
     
-    // Re-order DOM elements
+    if (mode === 'side-by-side' || mode === 'anaglyph') {
+      if (this.projection === 'perspective') {
+        this.setProjection('translate');
+      }
+      this.stereo = new StereoRenderer(this, { ...options, mode });
+      this.stereo.attach();
+    }
+    this.wake();
+  }
+  
+  getOutputMode() {
+    return this.stereo ? this.stereo.mode : 'mono';
+  }
+  
+  /**
+   * Re-parent every layer element, e.g. into or out of the 3D stage
+   */
+  moveLayerElements(parent) {
+    this.layerContainer = parent;
     this.layers.forEach(layer => {
-      this.container.appendChild(layer.element);
+      parent.appendChild(layer.element);
     });
+  }
+  
+  /**
+   * Update focus settings (aperture, range, maxBlur, opacityFalloff, minOpacity, depth, auto)
+   */
+  configureFocus(options) {
+    Object.keys(this.focus).forEach(key => {
+      if (options[key] !== undefined) {
+        this.focus[key] = options[key];
+      }
+    });
+    if (options.auto !== undefined) {
+      this.focus.auto = options.auto;
+    }
+  }
+  
+  /**
+   * Move the focus plane to a depth, blurring and fading layers away from it
+   * Pass a duration to rack focus; resolves like camera moves
+   */
+  setFocusDepth(depth, options = {}) {
+    const { duration, easing, ...settings } = options;
+    this.configureFocus(settings);
     
+    if (this.focusTransition) {
+      this.focusTransition.stop();
+      this.focusTransition = null;
+    }
+    
+    // Nothing to animate from (or to) when focus is off
+    if (depth === null || this.focus.depth === null || !duration) {
+      this.focus.depth = depth;
+      this.wake();
+      return Promise.resolve(true);
+    }
+    
+    this.focusTransition = this.startTween(this.focus, { depth }, { duration, easing });
+    return this.focusTransition.finished;
+  }
+  
+  /**
+   * Turn depth of field off
+   */
+  clearFocus() {
+    return this.setFocusDepth(null);
+  }
+  
+  /**
+   * Blur and opacity for a layer at the given depth under the current focus
+   */
+  getFocusEffect(depth) {
+    const focus = this.focus;
+    if (focus.depth === null) {
+      return { blur: 0, opacity: 1 };
+    }
+    
+    const distance = Math.max(0, Math.abs(depth - focus.depth) - focus.range);
+    return {
+      blur: Math.min(focus.maxBlur, distance * focus.aperture),
+      opacity: Math.max(focus.minOpacity, 1 - distance * focus.opacityFalloff)
+    };
+  }
+  
+  /**
+   * Rack focus to whichever layer is under the pointer
+   * Options: duration (ms, default 400), easing
+   */
+  setAutoFocus(enabled, options = {}) {
+    if (this.autoFocusOptions) {
+      this.container.removeEventListener('pointermove', this.handleAutoFocus);
+      this.autoFocusOptions = null;
+    }
+    if (!enabled) return;
+    
+    this.autoFocusOptions = { duration: 400, ...options };
+    this.autoFocusLayer = null;
+    this.handleAutoFocus = e => {
+      const layer = this.getAllLayers().reverse().find(item =>
+        !(item instanceof LayerGroup) && item.element.contains(e.target));
+      if (!layer || layer === this.autoFocusLayer) return;
+      
+      this.autoFocusLayer = layer;
+      this.setFocusDepth(layer.getWorldDepth(), this.autoFocusOptions);
+    };
+    this.container.addEventListener('pointermove', this.handleAutoFocus);
+  }
+  
+  /**
+   * Play a sequence of camera keyframes ({ x, y, zoom, duration, easing, hold, caption })
+   * Resolves true when the tour finishes, false if it was stopped
+   */
+  playTour(keyframes, options = {}) {
+    this.stopTour();
+    this.tour = new CameraTour(this, keyframes, options);
+    return this.tour.play();
+  }
+  
+  stopTour() {
+    if (this.tour) {
+      this.tour.stop();
+      this.tour = null;
+    }
+  }
+  
+  /**
+   * Add a layer to the scene
+   */
+  addLayer(layer) {
+    if (this.layers.indexOf(layer) > -1) return layer;
+    if (layer.parent) {
+      layer.parent.removeLayer(layer);
+    } else if (layer.scene) {
+      layer.scene.removeLayer(layer);
+    }
+    
+    this.layers.push(layer);
+    this.attachLayer(layer);
+    this.sortLayers();
+    
+    this.emit('layeradd', { layer });
+    layer.emit('add', { scene: this });
+    this.wake();
     return layer;
   }
   
+  /**
+   * Sort layers by depth (background to foreground) and re-order DOM elements
+   */
+  sortLayers() {
+    this.layers.sort(ParallaxLayer.compareStack);
+    this.layers.forEach(layer => {
+      this.layerContainer.appendChild(layer.element);
+    });
+  }
+  
   /**
    * Remove a layer from the scene
    */
@@ -100,12 +717,31 @@ class ParallaxScene {
     const index = this.layers.indexOf(layer);
     if (index > -1) {
       this.layers.splice(index, 1);
-      if (layer.element && layer.element.parentNode === this.container) {
-        this.container.removeChild(layer.element);
+      if (layer.element && layer.element.parentNode === this.layerContainer) {
+        this.layerContainer.removeChild(layer.element);
       }
+      this.detachLayer(layer);
     }
   }
   
+  /**
+   * Link a layer to the scene and forward its point events
+   */
+  attachLayer(layer) {
+    layer.scene = this;
+    ParallaxLayer.FORWARDED_EVENTS.forEach(type => layer.on(type, this.forwardLayerEvent));
+  }
+  
+  /**
+   * Unlink a removed layer and announce the removal
+   */
+  detachLayer(layer) {
+    ParallaxLayer.FORWARDED_EVENTS.forEach(type => layer.off(type, this.forwardLayerEvent));
+    layer.scene = null;
+    this.emit('layerremove', { layer });
+    layer.emit('remove', { scene: this });
+  }
+  
   /**
    * Get layer by depth
    */
@@ -113,47 +749,357 @@ class ParallaxScene {
     return this.layers.find(layer => layer.depth === depth);
   }
   
+  /**
+   * Find a layer by id, including layers inside groups
+   */
+  getLayerById(id) {
+    return this.getAllLayers().find(layer => layer.id === id) || null;
+  }
+  
+  /**
+   * Accept either a layer or its id
+   */
+  resolveLayer(layerOrId) {
+    return typeof layerOrId === 'string' ? this.getLayerById(layerOrId) : layerOrId;
+  }
+  
+  /**
+   * Move a layer to a position in its stack (the scene or its group)
+   * Stacking follows depth, so the layer's depth is clamped between its new
+   * neighbours; that keeps near layers both on top and moving the most
+   */
+  moveLayer(layerOrId, index) {
+    const layer = this.resolveLayer(layerOrId);
+    const owner = layer && (layer.parent || (layer.scene === this ? this : null));
+    if (!owner) return;
+    
+    const stack = owner.layers.filter(item => item !== layer);
+    const position = Math.max(0, Math.min(stack.length, index));
+    const below = stack[position - 1];
+    const above = stack[position];
+    
+    let depth = layer.depth;
+    if (below && depth < below.depth) depth = below.depth;
+    if (above && depth > above.depth) depth = above.depth;
+    
+    stack.splice(position, 0, layer);
+    stack.forEach((item, order) => {
+      item.stackOrder = order;
+    });
+    
+    owner.layers = stack;
+    layer.setDepth(depth);
+    owner.sortLayers();
+    this.wake();
+  }
+  
+  bringToFront(layerOrId) {
+    const layer = this.resolveLayer(layerOrId);
+    if (!layer) return;
+    const owner = layer.parent || this;
+    this.moveLayer(layer, owner.layers.length - 1);
+  }
+  
+  sendToBack(layerOrId) {
+    this.moveLayer(layerOrId, 0);
+  }
+  
+  /**
+   * Show only this layer (with its enclosing groups); unsolo() restores visibility
+   */
+  solo(layerOrId) {
+    const layer = this.resolveLayer(layerOrId);
+    if (!layer) return;
+    
+    if (!this.soloState) {
+      this.soloState = new Map();
+      this.forEachLayer(item => this.soloState.set(item, item.visible));
+    }
+    
+    // Keep the layer, its ancestors and its descendants visible
+    const keep = new Set([layer]);
+    for (let parent = layer.parent; parent; parent = parent.parent) {
+      keep.add(parent);
+    }
+    if (layer instanceof LayerGroup) {
+      layer.forEachLayer(item => keep.add(item));
+    }
+    
+    this.forEachLayer(item => item.setVisible(keep.has(item)));
+    this.soloLayer = layer;
+  }
+  
+  unsolo() {
+    if (!this.soloState) return;
+    this.soloState.forEach((visible, layer) => layer.setVisible(visible));
+    this.soloState = null;
+    this.soloLayer = null;
+  }
+  
+  /**
+   * Call back for every layer in the scene, including those inside groups
+   */
+  forEachLayer(callback) {
+    this.layers.forEach(layer => {
+      callback(layer);
+      if (layer instanceof LayerGroup) {
+        layer.forEachLayer(callback);
+      }
+    });
+  }
+  
+  /**
+   * Every layer in the scene as a flat list, groups before their children
+   */
+  getAllLayers() {
+    const layers = [];
+    this.forEachLayer(layer => layers.push(layer));
+    return layers;
+  }
+  
   /**
    * Animation loop - smoothly updates layer positions
    */
-  animate() {
-    // Smooth interpolation
-    this.currentX += (this.mouseX - this.currentX) * this.smoothing;
-    this.currentY += (this.mouseY - this.currentY) * this.smoothing;
+  animate(time) {
+    // Called directly (init, step): this frame replaces any scheduled one
+    if (this.animationFrameId !== null) {
+      this.clock.cancelFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+    const now = time !== undefined ? time : this.clock.now();
+    const waking = this.lastFrameTime === null;
+    const deltaTime = waking ? 0 : now - this.lastFrameTime;
+    this.lastFrameTime = now;
+    
+    this.updateInputs(deltaTime);
+    this.updateTransitions(deltaTime);
+    if (this.link) {
+      this.link.sync(this);
+    }
+    
+    // Smooth interpolation, scaled so motion matches on any refresh rate;
+    // the first frame after waking counts as one 60Hz frame
+    const frames = waking ? 1 : Math.max(0, deltaTime) / FRAME_DURATION;
+    const factor = 1 - Math.pow(1 - Math.min(this.smoothing, 1), frames);
+    this.currentX += (this.targetX - this.currentX) * factor;
+    this.currentY += (this.targetY - this.currentY) * factor;
+    
+    const motionScale = this.isReducedMotion('reduce') ? this.reducedMotionScale : 1;
+    if (this.projection === 'perspective') {
+      this.renderPerspective(motionScale);
+    } else {
+      this.renderTranslate(motionScale);
+    }
     
+    // Apply depth of field
+    this.forEachLayer(layer => {
+      const focus = this.getFocusEffect(layer.getWorldDepth());
+      layer.setFocusEffect(focus.blur, focus.opacity);
+    });
+    
+    if (this.stereo) {
+      this.stereo.render();
+    }
+    
+    if (this.hasListeners('frame')) {
+      this.emit('frame', { deltaTime, x: this.currentX, y: this.currentY, camera: this.getCamera() });
+    }
+    this.updateSettled();
+    
+    // Keep going while anything moves, otherwise sleep until woken
+    if (this.needsFrame() && this.canRun()) {
+      if (this.animationFrameId === null) {
+        this.animationFrameId = this.clock.requestFrame(this.handleAnimationFrame);
+      }
+    } else if (this.animationFrameId === null) {
+      this.lastFrameTime = null;
+    }
+  }
+  
+  /**
+   * Slide layers by depth-scaled offsets
+   */
+  renderTranslate(motionScale) {
     // Calculate pixel offset based on container size
-    const rect = this.container.getBoundingClientRect();
-    const deltaX = this.currentX * rect.width * 0.5;
-    const deltaY = this.currentY * rect.height * 0.5;
+    const size = this.getSize();
+    const deltaX = (this.currentX + this.camera.x) * size.width * 0.5;
+    const deltaY = (this.currentY + this.camera.y) * size.height * 0.5;
+    const strength = this.parallaxStrength * motionScale;
+    const { zoom, panX, panY } = this.camera;
+    const scroll = this.scrollController;
     
-    // Update all layers
-    this.layers.forEach(layer => {
-      layer.updatePosition(deltaX, deltaY, this.parallaxStrength);
+    this.forEachLayer(layer => {
+      // Pan scales with each layer's zoom so zooming stays anchored across depths
+      const layerZoom = this.getLayerZoom(layer.getWorldDepth());
+      const panScale = layerZoom / zoom;
+      
+      // Offsets are pre-scaled so scroll-driven offsets share the depth multiplier
+      const scrollActive = scroll && !this.isReducedMotion('static');
+      const scrollOffset = scrollActive ? scroll.getLayerOffset(layer) * motionScale : 0;
+      
+      // Largest offset full input deflection (plus scrolling) can produce
+      const reachScale = layer.getWorldDepth() * layer.getWorldParallaxStrength();
+      const reachY = size.height * 0.5 * strength + (scrollActive ? scroll.distance * motionScale : 0);
+      layer.fitEdges({
+        x: Math.abs(size.width * 0.5 * strength * reachScale),
+        y: Math.abs(reachY * reachScale)
+      }, size, this.edges);
+      
+      layer.updatePosition(
+        deltaX * strength,
+        deltaY * strength + scrollOffset,
+        1,
+        layerZoom,
+        panX * panScale,
+        panY * panScale
+      );
     });
+  }
+  
+  /**
+   * Tilt the 3D stage with input and place layers along the z axis
+   */
+  renderPerspective(motionScale) {
+    const { distance, maxTilt, depthSpacing, compensateScale } = this.perspective;
+    const tilt = maxTilt * motionScale;
+    const scrollY = this.scrollController ? this.scrollController.progress * 2 - 1 : 0;
+    const rotateX = -(this.currentY + this.camera.y + scrollY) * tilt;
+    const rotateY = (this.currentX + this.camera.x) * tilt;
+    this.stage.style.transform = `translate(${this.camera.panX}px, ${this.camera.panY}px) ` +
+      `rotateX(${rotateX}deg) rotateY(${rotateY}deg)`;
     
-    this.animationFrameId = requestAnimationFrame(this.animate.bind(this));
+    this.forEachLayer(layer => {
+      const depth = layer.getWorldDepth();
+      const translateZ = depth * depthSpacing;
+      const compensation = compensateScale && translateZ < distance
+        ? (distance - translateZ) / distance
+        : 1;
+      layer.updateDepthPosition(translateZ, this.getLayerZoom(depth) * compensation);
+    });
+  }
+  
+  /**
+   * Whether the next frame would change anything
+   */
+  needsFrame() {
+    return !this.settled || this.inputs.some(input => input.enabled && input.polling);
+  }
+  
+  /**
+   * Whether the loop is allowed to run at all
+   */
+  canRun() {
+    if (this.paused || this.destroyed) return false;
+    if (!this.pauseWhenHidden) return true;
+    return this.inViewport && !document.hidden;
+  }
+  
+  /**
+   * Schedule a frame if the loop is asleep; called on input and state changes
+   */
+  wake() {
+    if (this.animationFrameId !== null || !this.canRun()) return;
+    this.animationFrameId = this.clock.requestFrame(this.handleAnimationFrame);
+  }
+  
+  cancelFrame() {
+    if (this.animationFrameId !== null) {
+      this.clock.cancelFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+    this.lastFrameTime = null;
+  }
+  
+  /**
+   * Render one frame of deltaTime ms right now, advancing a ManualClock first
+   * so timers such as tour holds fire; for deterministic tests and exports
+   */
+  step(deltaTime = FRAME_DURATION) {
+    this.cancelFrame();
+    if (typeof this.clock.advance === 'function') {
+      this.clock.advance(deltaTime);
+    }
+    const now = this.clock.now();
+    this.lastFrameTime = now - deltaTime;
+    this.animate(now);
+  }
+  
+  /**
+   * Stop rendering until resume() is called
+   */
+  pause() {
+    this.paused = true;
+    this.cancelFrame();
+  }
+  
+  resume() {
+    this.paused = false;
+    this.wake();
+  }
+  
+  /**
+   * Emit 'settle' once the smoothed position and camera come to rest
+   */
+  updateSettled() {
+    const moving = Boolean(this.cameraTransition || this.focusTransition) ||
+      Math.abs(this.targetX - this.currentX) > SETTLE_THRESHOLD ||
+      Math.abs(this.targetY - this.currentY) > SETTLE_THRESHOLD;
+    
+    if (moving) {
+      this.settled = false;
+    } else if (!this.settled) {
+      this.settled = true;
+      this.emit('settle', { x: this.currentX, y: this.currentY, camera: this.getCamera() });
+    }
   }
   
   /**
    * Clear all layers
    */
   clear() {
-    this.layers.forEach(layer => {
-      if (layer.element && layer.element.parentNode === this.container) {
-        this.container.removeChild(layer.element);
+    const layers = this.layers;
+    this.layers = [];
+    this.soloState = null;
+    this.soloLayer = null;
+    layers.forEach(layer => {
+      if (layer.element && layer.element.parentNode === this.layerContainer) {
+        this.layerContainer.removeChild(layer.element);
       }
+      this.detachLayer(layer);
     });
-    this.layers = [];
   }
   
   /**
    * Destroy the scene and clean up
    */
   destroy() {
-    if (this.animationFrameId) {
-      cancelAnimationFrame(this.animationFrameId);
+    this.cancelFrame();
+    this.destroyed = true;
+    
+    if (this.resizeObserver) this.resizeObserver.disconnect();
+    if (this.intersectionObserver) this.intersectionObserver.disconnect();
+    if (this.pauseWhenHidden) {
+      document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+    if (this.reducedMotionQuery && this.reducedMotionQuery.removeEventListener) {
+      this.reducedMotionQuery.removeEventListener('change', this.handleReducedMotionChange);
+    }
+    
+    this.stopTour();
+    this.stopCamera();
+    this.setAutoFocus(false);
+    this.disableNavigation();
+    this.disableScrollMode();
+    this.disableSelection();
+    this.disableTooltips();
+    this.setOutputMode('mono');
+    if (this.link) {
+      this.link.remove(this);
     }
+    this.gestures.detach();
+    this.inputs.slice().forEach(input => this.removeInput(input));
     this.clear();
+    this.setProjection('translate');
   }
   
   /**
@@ -161,6 +1107,15 @@ class ParallaxScene {
    */
   setParallaxStrength(strength) {
     this.parallaxStrength = strength;
+    this.wake();
+  }
+  
+  /**
+   * Default edge handling for layers without their own edges option
+   */
+  setEdges(mode) {
+    this.edges = mode || 'none';
+    this.wake();
   }
   
   /**
@@ -168,7 +1123,130 @@ class ParallaxScene {
    */
   setSmoothing(smoothing) {
     this.smoothing = smoothing;
+    this.wake();
+  }
+  
+  /**
+   * Serialize settings, camera, focus and layers to the chart JSON model
+   */
+  toJSON() {
+    const parallax = {
+      strength: this.parallaxStrength,
+      smoothing: this.smoothing,
+      projection: this.projection,
+      depthZoom: this.depthZoom,
+      touchPolicy: this.touchPolicy,
+      edges: this.edges
+    };
+    if (this.projection === 'perspective') {
+      parallax.perspective = { ...this.perspective };
+    }
+    if (this.navigation) {
+      parallax.zoom = {
+        min: this.navigation.minZoom,
+        max: this.navigation.maxZoom,
+        step: this.navigation.zoomStep
+      };
+    }
+    
+    const model = {
+      ...this.metadata,
+      parallax,
+      camera: this.getCamera(),
+      layers: this.layers.map(layer => layer.toJSON())
+    };
+    if (this.focus.depth !== null) {
+      model.focus = { ...this.focus };
+    }
+    return model;
   }
+  
+  /**
+   * Apply a chart JSON model to this scene, replacing its layers
+   * Options: resolveImageSource(imageSource, layerJson) for layer content
+   */
+  loadJSON(model, options = {}) {
+    const parallax = model.parallax || {};
+    
+    if (parallax.strength !== undefined) this.setParallaxStrength(parallax.strength);
+    if (parallax.smoothing !== undefined) this.setSmoothing(parallax.smoothing);
+    if (parallax.depthZoom !== undefined) this.depthZoom = parallax.depthZoom;
+    if (parallax.edges) this.setEdges(parallax.edges);
+    if (parallax.touchPolicy) this.setTouchPolicy(parallax.touchPolicy);
+    if (parallax.projection || parallax.perspective) {
+      this.setProjection(parallax.projection || this.projection, parallax.perspective);
+    }
+    if (parallax.zoom) {
+      this.enableNavigation({
+        minZoom: parallax.zoom.min,
+        maxZoom: parallax.zoom.max,
+        zoomStep: parallax.zoom.step
+      });
+    }
+    
+    if (model.camera) this.setCamera(model.camera);
+    if (model.focus) this.setFocusDepth(model.focus.depth, model.focus);
+    
+    this.metadata = {};
+    Object.keys(model).forEach(key => {
+      if (MODEL_KEYS.indexOf(key) === -1) {
+        this.metadata[key] = model[key];
+      }
+    });
+    
+    const context = { ...options, table: inflateTable(model.table), scene: this };
+    context.createLayer = json => ParallaxScene.createLayer(json, context);
+    this.clear();
+    (model.layers || []).forEach(json => {
+      this.addLayer(ParallaxScene.createLayer(json, context));
+    });
+    
+    return this;
+  }
+  
+  /**
+   * Build a live scene from a chart JSON model
+   */
+  static fromJSON(container, model, options = {}) {
+    const { resolveImageSource, ...sceneOptions } = options;
+    const scene = new ParallaxScene(container, sceneOptions);
+    return scene.loadJSON(model, { resolveImageSource });
+  }
+  
+  /**
+   * Create a layer instance for a model entry by its `type` (default 'layer')
+   */
+  static createLayer(json, context = {}) {
+    const LayerClass = LAYER_TYPES[json.type || 'layer'];
+    if (!LayerClass) {
+      throw new Error(`Unknown layer type: ${json.type}`);
+    }
+    return LayerClass.fromJSON(json, context);
+  }
+  
+  /**
+   * Make a custom layer class loadable from JSON
+   */
+  static registerLayerType(type, LayerClass) {
+    LAYER_TYPES[type] = LayerClass;
+  }
+}
+
+/**
+ * Convert a { columns, rows } table into an array of records
+ */
+function inflateTable(table) {
+  if (!table || !Array.isArray(table.columns) || !Array.isArray(table.rows)) {
+    return null;
+  }
+  
+  return table.rows.map(row => {
+    const record = {};
+    table.columns.forEach((column, index) => {
+      record[column] = row[index];
+    });
+    return record;
+  });
 }
 
 export default ParallaxScene;
@@ -0,0 +1,176 @@
+/**
+ * SceneLink - Keeps several scenes on one shared camera, for small multiples
+ * Each frame a linked scene reports what changed locally (pointer, camera,
+ * focus) and takes on the shared state, so moving over one chart moves all.
+ * With a leader only that scene drives the others.
+ */
+
+// Linkable channels and the scene state each one shares. Input fields are
+// recomputed from the scene's own inputs every frame; the rest persist.
+const CHANNELS = {
+  x: [
+    { key: 'targetX', input: true, get: s => s.targetX, set: (s, v) => { s.targetX = v; } },
+    { key: 'cameraX', get: s => s.camera.x, set: (s, v) => { s.camera.x = v; } }
+  ],
+  y: [
+    { key: 'targetY', input: true, get: s => s.targetY, set: (s, v) => { s.targetY = v; } },
+    { key: 'cameraY', get: s => s.camera.y, set: (s, v) => { s.camera.y = v; } }
+  ],
+  zoom: [
+    { key: 'zoom', get: s => s.camera.zoom, set: (s, v) => { s.camera.zoom = v; } }
+  ],
+  pan: [
+    { key: 'panX', get: s => s.camera.panX, set: (s, v) => { s.camera.panX = v; } },
+    { key: 'panY', get: s => s.camera.panY, set: (s, v) => { s.camera.panY = v; } }
+  ],
+  focus: [
+    { key: 'focusDepth', get: s => s.focus.depth, set: (s, v) => { s.focus.depth = v; } }
+  ]
+};
+
+class SceneLink {
+  constructor(scenes = [], options = {}) {
+    const channels = options.channels || Object.keys(CHANNELS);
+    channels.forEach(channel => {
+      if (!CHANNELS[channel]) {
+        throw new Error(`Unknown link channel: ${channel}`);
+      }
+    });
+    
+    this.channels = channels;
+    this.fields = channels.reduce((fields, channel) => fields.concat(CHANNELS[channel]), []);
+    this.scenes = [];
+    this.leader = null;     // null = any scene can drive the others
+    this.state = null;      // Shared values by field key
+    this.previous = new Map(); // scene -> last values seen from that scene
+    
+    scenes.forEach(scene => this.add(scene));
+    if (options.leader) {
+      this.setLeader(options.leader);
+    }
+  }
+  
+  /**
+   * Link a scene, moving it out of any other link
+   */
+  add(scene) {
+    if (scene.link === this) return scene;
+    if (scene.link) {
+      scene.link.remove(scene);
+    }
+    
+    scene.link = this;
+    this.scenes.push(scene);
+    
+    // The first scene seeds the shared state, later ones adopt it
+    if (!this.state) {
+      this.state = {};
+      this.fields.forEach(field => {
+        this.state[field.key] = field.get(scene);
+      });
+    }
+    const previous = {};
+    this.fields.forEach(field => {
+      previous[field.key] = field.get(scene);
+    });
+    this.previous.set(scene, previous);
+    this.apply(scene);
+    return scene;
+  }
+  
+  remove(scene) {
+    const index = this.scenes.indexOf(scene);
+    if (index === -1) return;
+    
+    this.scenes.splice(index, 1);
+    this.previous.delete(scene);
+    scene.link = null;
+    if (this.leader === scene) {
+      this.leader = null;
+    }
+    scene.wake();
+  }
+  
+  /**
+   * Only let one scene drive the others; null lets any scene lead
+   */
+  setLeader(scene) {
+    if (scene && scene.link !== this) {
+      this.add(scene);
+    }
+    this.leader = scene || null;
+    if (!this.leader) return;
+    
+    // The leader's own view becomes the shared one
+    const own = this.previous.get(this.leader);
+    this.fields.forEach(field => {
+      this.state[field.key] = field.input ? own[field.key] : field.get(this.leader);
+    });
+    this.apply(this.leader);
+    this.leader.wake();
+    this.scenes.forEach(other => {
+      if (other !== this.leader) {
+        this.apply(other);
+        other.wake();
+      }
+    });
+  }
+  
+  /**
+   * Unlink every scene
+   */
+  destroy() {
+    this.scenes.slice().forEach(scene => this.remove(scene));
+    this.state = null;
+  }
+  
+  /**
+   * Called by a scene each frame after its inputs and transitions update:
+   * publish what changed locally, then take on the shared state
+   */
+  sync(scene) {
+    const previous = this.previous.get(scene);
+    if (!previous) return;
+    
+    const canLead = !this.leader || this.leader === scene;
+    let changed = false;
+    this.fields.forEach(field => {
+      const value = field.get(scene);
+      if (canLead && value !== previous[field.key] && value !== this.state[field.key]) {
+        this.state[field.key] = value;
+        changed = true;
+      }
+      previous[field.key] = value;
+    });
+    
+    if (changed) {
+      this.scenes.forEach(other => {
+        if (other !== scene) {
+          this.apply(other);
+          other.wake();
+        }
+      });
+    }
+    this.apply(scene);
+  }
+  
+  /**
+   * Write the shared state into a scene
+   */
+  apply(scene) {
+    const previous = this.previous.get(scene);
+    const inputBlocked = scene.inputLocked || scene.isReducedMotion('static');
+    
+    this.fields.forEach(field => {
+      if (field.input && inputBlocked) return;
+      
+      field.set(scene, this.state[field.key]);
+      // Input fields are judged against the scene's own inputs, not the shared value
+      if (!field.input) {
+        previous[field.key] = this.state[field.key];
+      }
+    });
+  }
+}
+
+export default SceneLink;
@@ -0,0 +1,166 @@
+/**
+ * ScrollController - Drives a scene from page scroll for scrollytelling
+ * Tracks how far the container has travelled through the viewport (or
+ * through its track when pinned), offsets layers by that progress and
+ * fires step triggers as sections reach the trigger line
+ */
+class ScrollController {
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.source = options.source || window; // window, a scrollable element, or 'auto'
+    this.distance = options.distance !== undefined ? options.distance : 150; // px per unit of depth over the range
+    this.pin = options.pin || false;        // Keep the container stuck while scrolling through its track
+    this.track = options.track || null;     // Tall element or selector the pinned container scrolls through
+    this.steps = options.steps || [];       // Elements, selectors or progress values (0-1)
+    this.triggerOffset = options.triggerOffset !== undefined ? options.triggerOffset : 0.5; // Viewport fraction
+    
+    this.progress = 0;
+    this.activeStep = -1;
+    this.savedStyles = null;
+    
+    this.update = this.update.bind(this);
+  }
+  
+  attach() {
+    if (this.source === 'auto') {
+      this.source = findScrollParent(this.scene.container);
+    }
+    if (this.pin) {
+      if (typeof this.track === 'string') {
+        this.track = document.querySelector(this.track);
+      }
+      this.track = this.track || this.scene.container.parentElement;
+      this.savedStyles = {
+        position: this.scene.container.style.position,
+        top: this.scene.container.style.top
+      };
+      this.scene.container.style.position = 'sticky';
+      this.scene.container.style.top = '0';
+    }
+    
+    this.source.addEventListener('scroll', this.update, { passive: true });
+    window.addEventListener('resize', this.update);
+    this.update();
+  }
+  
+  detach() {
+    this.source.removeEventListener('scroll', this.update, { passive: true });
+    window.removeEventListener('resize', this.update);
+    
+    if (this.savedStyles) {
+      Object.assign(this.scene.container.style, this.savedStyles);
+      this.savedStyles = null;
+    }
+  }
+  
+  /**
+   * Recompute progress and steps after a scroll or resize
+   */
+  update() {
+    const viewport = this.getViewport();
+    const progress = this.computeProgress(viewport);
+    
+    if (progress !== this.progress) {
+      this.progress = progress;
+      this.scene.emit('scrollprogress', { progress });
+      this.scene.wake();
+    }
+    this.updateSteps(viewport);
+  }
+  
+  /**
+   * Visible area of the scroll source in client coordinates
+   */
+  getViewport() {
+    if (this.source === window) {
+      return { top: 0, height: window.innerHeight };
+    }
+    const rect = this.source.getBoundingClientRect();
+    return { top: rect.top, height: rect.height };
+  }
+  
+  /**
+   * 0 when the container (or pinned track) starts to scroll through, 1 when done
+   */
+  computeProgress(viewport) {
+    if (this.pin && this.track) {
+      const rect = this.track.getBoundingClientRect();
+      const scrollable = rect.height - viewport.height;
+      if (scrollable <= 0) return 0;
+      return clamp((viewport.top - rect.top) / scrollable);
+    }
+    
+    const rect = this.scene.container.getBoundingClientRect();
+    return clamp((viewport.top + viewport.height - rect.top) / (viewport.height + rect.height));
+  }
+  
+  /**
+   * Emit stepexit/stepenter when the active step changes
+   */
+  updateSteps(viewport) {
+    if (this.steps.length === 0) return;
+    
+    const line = viewport.top + viewport.height * this.triggerOffset;
+    let index = -1;
+    this.steps.forEach((step, i) => {
+      if (typeof step === 'number') {
+        if (this.progress >= step) index = i;
+        return;
+      }
+      const element = typeof step === 'string' ? document.querySelector(step) : step;
+      if (element && element.getBoundingClientRect().top <= line) {
+        index = i;
+      }
+    });
+    
+    if (index === this.activeStep) return;
+    
+    const direction = index > this.activeStep ? 'down' : 'up';
+    if (this.activeStep > -1) {
+      this.scene.emit('stepexit', { index: this.activeStep, step: this.steps[this.activeStep], direction });
+    }
+    this.activeStep = index;
+    if (index > -1) {
+      this.scene.emit('stepenter', { index, step: this.steps[index], direction });
+    }
+  }
+  
+  /**
+   * Progress within a layer's scroll range ({ start, end } in overall progress)
+   */
+  getLayerProgress(layer) {
+    const range = layer.scrollRange;
+    if (!range) return this.progress;
+    
+    const start = range.start !== undefined ? range.start : 0;
+    const end = range.end !== undefined ? range.end : 1;
+    if (end <= start) return this.progress >= end ? 1 : 0;
+    return clamp((this.progress - start) / (end - start));
+  }
+  
+  /**
+   * Vertical offset in px per unit of depth; layers rise as the page scrolls
+   */
+  getLayerOffset(layer) {
+    return -(this.getLayerProgress(layer) * 2 - 1) * this.distance;
+  }
+}
+
+function clamp(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Nearest ancestor that scrolls vertically, or the window
+ */
+function findScrollParent(element) {
+  for (let node = element.parentElement; node; node = node.parentElement) {
+    const overflowY = getComputedStyle(node).overflowY;
+    if ((overflowY === 'auto' || overflowY === 'scroll') && node.scrollHeight > node.clientHeight) {
+      return node;
+    }
+  }
+  return window;
+}
+
+export default ScrollController;
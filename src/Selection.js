@@ -0,0 +1,77 @@
+/**
+ * Selection - The set of selected data records
+ * Records are matched by identity, so one selection can span every layer
+ * of a scene. Emits 'change' with the records added and removed.
+ */
+import EventEmitter from './EventEmitter.js';
+
+class Selection extends EventEmitter {
+  constructor() {
+    super();
+    this.records = new Set();
+  }
+  
+  get size() {
+    return this.records.size;
+  }
+  
+  has(record) {
+    return this.records.has(record);
+  }
+  
+  /**
+   * Selected records in selection order
+   */
+  values() {
+    return Array.from(this.records);
+  }
+  
+  /**
+   * Replace the selection
+   */
+  set(records) {
+    this.update(new Set(records));
+  }
+  
+  add(records) {
+    const next = new Set(this.records);
+    records.forEach(record => next.add(record));
+    this.update(next);
+  }
+  
+  remove(records) {
+    const next = new Set(this.records);
+    records.forEach(record => next.delete(record));
+    this.update(next);
+  }
+  
+  /**
+   * Select the unselected records and deselect the selected ones
+   */
+  toggle(records) {
+    const next = new Set(this.records);
+    records.forEach(record => {
+      if (next.has(record)) {
+        next.delete(record);
+      } else {
+        next.add(record);
+      }
+    });
+    this.update(next);
+  }
+  
+  clear() {
+    this.update(new Set());
+  }
+  
+  update(next) {
+    const added = Array.from(next).filter(record => !this.records.has(record));
+    const removed = Array.from(this.records).filter(record => !next.has(record));
+    if (added.length === 0 && removed.length === 0) return;
+    
+    this.records = next;
+    this.emit('change', { selected: this.values(), added, removed });
+  }
+}
+
+export default Selection;
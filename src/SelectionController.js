@@ -0,0 +1,334 @@
+/**
+ * SelectionController - Click, brush and lasso selection across a scene
+ * Clicks select the record under the pointer; dragging with the brush or
+ * lasso tool selects every mark inside the shape, measured where the marks
+ * are drawn, so each layer's parallax offset and zoom are taken into
+ * account. Selected marks are highlighted and the rest dimmed in every
+ * data layer of the scene.
+ */
+import DataLayer from './DataLayer.js';
+import Selection from './Selection.js';
+import { containsPoint } from './geometry.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Pointer travel in px before a press becomes a brush or lasso
+const DRAG_THRESHOLD = 4;
+
+// Clicks inside these belong to overlay UI, not to the marks underneath
+const OVERLAY_SELECTOR = '.parallax-legend, .parallax-tooltip';
+
+// Modifier that adds to (or, on click, toggles within) the selection
+const MULTI_KEYS = {
+  shift: e => e.shiftKey,
+  meta: e => e.metaKey || e.ctrlKey,
+  alt: e => e.altKey
+};
+
+class SelectionController {
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.selection = options.selection || new Selection();
+    this.tool = options.tool || null;        // Drag tool: 'brush', 'lasso' or null (clicks only)
+    this.multiKey = options.multiKey || 'shift'; // 'shift', 'meta' (or Ctrl) or 'alt'
+    this.layers = options.layers || null;    // Layers to select from; default every DataLayer
+    this.clearOnEmptyClick = options.clearOnEmptyClick !== false;
+    
+    // Highlight/dim styling, applied while anything is selected
+    this.style = {
+      selectedClass: options.selectedClass || 'is-selected',
+      dimmedClass: options.dimmedClass || 'is-dimmed',
+      dimOpacity: options.dimOpacity !== undefined ? options.dimOpacity : 0.25
+    };
+    
+    this.drag = null;
+    this.overlay = null;
+    this.suppressClick = false;
+    this.press = null; // { x, y, overlay } of the last press, to skip clicks that end a drag or hit overlay UI
+    
+    this.handleClick = this.handleClick.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleChange = event => {
+      this.applyStyles();
+      this.scene.emit('selectionchange', {
+        selection: this.selection,
+        selected: event.selected,
+        added: event.added,
+        removed: event.removed
+      });
+    };
+    this.handleLayerAdd = () => this.applyStyles();
+  }
+  
+  attach() {
+    const container = this.scene.container;
+    container.addEventListener('click', this.handleClick);
+    // Capture so a brush stroke starts before navigation or gestures see it
+    container.addEventListener('pointerdown', this.handlePointerDown, true);
+    container.style.setProperty('--paravi-dim-opacity', String(this.style.dimOpacity));
+    
+    this.selection.on('change', this.handleChange);
+    this.scene.on('layeradd', this.handleLayerAdd);
+    this.applyStyles();
+  }
+  
+  detach() {
+    const container = this.scene.container;
+    container.removeEventListener('click', this.handleClick);
+    container.removeEventListener('pointerdown', this.handlePointerDown, true);
+    container.style.removeProperty('--paravi-dim-opacity');
+    this.endDrag();
+    
+    this.selection.off('change', this.handleChange);
+    this.scene.off('layeradd', this.handleLayerAdd);
+    this.getLayers().forEach(layer => layer.setSelection(null));
+  }
+  
+  /**
+   * Switch the drag tool: 'brush', 'lasso', or null to leave dragging to navigation
+   */
+  setTool(tool) {
+    this.endDrag();
+    this.tool = tool || null;
+  }
+  
+  getLayers() {
+    if (this.layers) return this.layers;
+    return this.scene.getAllLayers().filter(layer => layer instanceof DataLayer);
+  }
+  
+  applyStyles() {
+    this.getLayers().forEach(layer => layer.setSelection(this.selection, this.style));
+  }
+  
+  /**
+   * Records of the mark at a click, or null for empty space
+   */
+  findRecordsAt(e) {
+    const mark = e.target && e.target.closest ? e.target.closest('.data-point, .data-series') : null;
+    const layers = this.getLayers();
+    
+    for (let i = layers.length - 1; i >= 0; i--) {
+      const layer = layers[i];
+      let data;
+      if (layer.canvasRenderer) {
+        const point = layer.canvasRenderer.hitTest(e.clientX, e.clientY);
+        data = point ? point.data : undefined;
+      } else if (mark && layer.element.contains(mark)) {
+        data = layer.pointData.get(mark);
+      }
+      if (data !== undefined) {
+        return Array.isArray(data) ? data : [data];
+      }
+    }
+    return null;
+  }
+  
+  handleClick(e) {
+    if (this.suppressClick) {
+      this.suppressClick = false;
+      return;
+    }
+    // Clicks that end a pan or land on legends and tooltips leave the selection alone
+    // (overlays can re-render on click, so their target may already be detached)
+    const press = this.press;
+    this.press = null;
+    if (press && (press.overlay || Math.hypot(e.clientX - press.x, e.clientY - press.y) >= DRAG_THRESHOLD)) return;
+    if (!this.scene.container.contains(e.target) || isOverlay(e.target)) return;
+    
+    const records = this.findRecordsAt(e);
+    const multi = MULTI_KEYS[this.multiKey](e);
+    if (!records) {
+      if (this.clearOnEmptyClick && !multi) {
+        this.selection.clear();
+      }
+    } else if (multi) {
+      this.selection.toggle(records);
+    } else {
+      this.selection.set(records);
+    }
+  }
+  
+  handlePointerDown(e) {
+    this.suppressClick = false;
+    this.press = { x: e.clientX, y: e.clientY, overlay: isOverlay(e.target) };
+    if (!this.tool || !e.isPrimary || (e.pointerType === 'mouse' && e.button !== 0)) return;
+    
+    // The stroke replaces dragging, panning and pinching while a tool is active
+    e.stopImmediatePropagation();
+    const container = this.scene.container;
+    this.drag = {
+      pointerId: e.pointerId,
+      points: [[e.clientX, e.clientY]],
+      moved: false
+    };
+    container.addEventListener('pointermove', this.handlePointerMove);
+    container.addEventListener('pointerup', this.handlePointerUp);
+    container.addEventListener('pointercancel', this.handlePointerUp);
+    if (container.setPointerCapture) {
+      try {
+        container.setPointerCapture(e.pointerId);
+      } catch (error) {
+        // The pointer is already gone
+      }
+    }
+  }
+  
+  handlePointerMove(e) {
+    const drag = this.drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    
+    const [startX, startY] = drag.points[0];
+    if (!drag.moved && Math.hypot(e.clientX - startX, e.clientY - startY) < DRAG_THRESHOLD) return;
+    drag.moved = true;
+    
+    if (this.tool === 'lasso') {
+      drag.points.push([e.clientX, e.clientY]);
+    } else {
+      drag.points[1] = [e.clientX, e.clientY];
+    }
+    this.drawOverlay();
+  }
+  
+  handlePointerUp(e) {
+    const drag = this.drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    
+    this.endDrag();
+    if (!drag.moved || e.type === 'pointercancel') return;
+    
+    // The click that ends the stroke is not a selection click
+    this.suppressClick = true;
+    
+    const shape = this.tool === 'lasso' ? drag.points : toRect(drag.points);
+    const contains = this.tool === 'lasso'
+      ? ([x, y]) => containsPoint(shape, x, y)
+      : ([x, y]) => x >= shape.left && x <= shape.right && y >= shape.top && y <= shape.bottom;
+    const records = this.recordsWhere(contains);
+    
+    if (MULTI_KEYS[this.multiKey](e)) {
+      this.selection.add(records);
+    } else {
+      this.selection.set(records);
+    }
+    
+    const bounds = toRect(drag.points);
+    this.scene.emit('brush', {
+      tool: this.tool,
+      records,
+      extents: this.getLayers().map(layer => ({ layer, ...this.toDataExtent(layer, bounds) }))
+    });
+  }
+  
+  endDrag() {
+    const container = this.scene.container;
+    container.removeEventListener('pointermove', this.handlePointerMove);
+    container.removeEventListener('pointerup', this.handlePointerUp);
+    container.removeEventListener('pointercancel', this.handlePointerUp);
+    this.drag = null;
+    
+    if (this.overlay && this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
+    }
+    this.overlay = null;
+  }
+  
+  /**
+   * Outline of the brush rectangle or lasso path over the scene
+   */
+  drawOverlay() {
+    const container = this.scene.container;
+    const origin = container.getBoundingClientRect();
+    if (!this.overlay) {
+      this.overlay = document.createElementNS(SVG_NS, 'svg');
+      this.overlay.setAttribute('class', `parallax-selection parallax-selection-${this.tool}`);
+      Object.assign(this.overlay.style, {
+        position: 'absolute',
+        left: '0',
+        top: '0',
+        width: '100%',
+        height: '100%',
+        pointerEvents: 'none',
+        zIndex: '20'
+      });
+      this.overlay.appendChild(document.createElementNS(SVG_NS, 'path'));
+      container.appendChild(this.overlay);
+    }
+    
+    let points = this.drag.points;
+    if (this.tool !== 'lasso') {
+      const { left, top, right, bottom } = toRect(points);
+      points = [[left, top], [right, top], [right, bottom], [left, bottom]];
+    }
+    const path = points.map(([x, y], index) =>
+      `${index === 0 ? 'M' : 'L'} ${x - origin.left} ${y - origin.top}`).join(' ');
+    this.overlay.firstChild.setAttribute('d', `${path} Z`);
+  }
+  
+  /**
+   * Records whose mark is drawn at a client position passing contains()
+   * Positions go through each layer's on-screen box, which carries its
+   * parallax offset, scale and zoom
+   */
+  recordsWhere(contains) {
+    const records = [];
+    this.getLayers().forEach(layer => {
+      if (!layer.isVisible() || !layer.scales.x || !layer.scales.y) return;
+      
+      const rect = layer.element.getBoundingClientRect();
+      layer.dataPoints.forEach(point => {
+        const group = Array.isArray(point.data) ? point.data : [point.data];
+        group.forEach(record => {
+          if (layer.pointFilter && !layer.pointFilter(record)) return;
+          const x = layer.positionOf('x', record);
+          const y = layer.positionOf('y', record);
+          if (!isFinite(x) || !isFinite(y)) return;
+          if (contains([rect.left + x / 100 * rect.width, rect.top + y / 100 * rect.height])) {
+            records.push(record);
+          }
+        });
+      });
+    });
+    return records;
+  }
+  
+  /**
+   * A client-space rectangle as x/y ranges in a layer's data units, for
+   * continuous scales (null for categorical axes)
+   */
+  toDataExtent(layer, bounds) {
+    const rect = layer.element.getBoundingClientRect();
+    const invert = (axis, start, end, origin, size) => {
+      const scale = layer.scales[axis];
+      if (!scale || !scale.invert || !size) return null;
+      const values = [start, end].map(value => scale.invert((value - origin) / size * 100));
+      return values[0] <= values[1] ? values : [values[1], values[0]];
+    };
+    return {
+      x: invert('x', bounds.left, bounds.right, rect.left, rect.width),
+      y: invert('y', bounds.top, bounds.bottom, rect.top, rect.height)
+    };
+  }
+}
+
+function isOverlay(target) {
+  return Boolean(target && target.closest && target.closest(OVERLAY_SELECTOR));
+}
+
+/**
+ * Bounding box of [x, y] points
+ */
+function toRect(points) {
+  const xs = points.map(point => point[0]);
+  const ys = points.map(point => point[1]);
+  return {
+    left: Math.min(...xs),
+    right: Math.max(...xs),
+    top: Math.min(...ys),
+    bottom: Math.max(...ys)
+  };
+}
+
+export default SelectionController;
@@ -0,0 +1,213 @@
+/**
+ * StereoRenderer - Left/right eye output computed from layer depths
+ * The live layers render into the left eye and a mirrored copy into the
+ * right eye; each layer is shifted by its disparity from the convergence
+ * depth. Eyes sit side by side, or overlap as a red/cyan anaglyph.
+ * The anaglyph is composited in the page with SVG color-matrix filters and
+ * a screen blend rather than drawn onto a canvas: layers are DOM content a
+ * canvas can't draw, and the left eye stays interactive this way.
+ */
+import CanvasRenderer from './CanvasRenderer.js';
+import { UNRENDERED_ATTRIBUTE, getPath, followPath, syncAttribute } from './mirror.js';
+
+const FILTER_ID = 'paravi-anaglyph';
+
+// Left eye keeps red, right eye keeps green and blue
+const ANAGLYPH_MATRICES = {
+  left: '1 0 0 0 0  0 0 0 0 0  0 0 0 0 0  0 0 0 1 0',
+  right: '0 0 0 0 0  0 1 0 0 0  0 0 1 0 0  0 0 0 1 0'
+};
+
+class StereoRenderer {
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.mode = options.mode === 'anaglyph' ? 'anaglyph' : 'side-by-side';
+    this.separation = options.separation !== undefined ? options.separation : 10; // px per unit of depth
+    this.convergence = options.convergence !== undefined ? options.convergence : 1; // Depth at screen plane
+    
+    this.leftEye = null;
+    this.rightEye = null;
+    this.mirrors = new Map(); // layer -> element in the right eye
+    this.dirty = true;
+    this.observer = null;
+  }
+  
+  attach() {
+    const container = this.scene.container;
+    this.leftEye = createEye('left');
+    this.rightEye = createEye('right');
+    this.rightEye.setAttribute('aria-hidden', 'true');
+    this.rightEye.setAttribute('inert', '');
+    this.rightEye.style.pointerEvents = 'none';
+    
+    if (this.mode === 'anaglyph') {
+      ensureAnaglyphFilters();
+      this.leftEye.style.filter = `url(#${FILTER_ID}-left)`;
+      this.rightEye.style.filter = `url(#${FILTER_ID}-right)`;
+      this.rightEye.style.mixBlendMode = 'screen';
+      container.style.isolation = 'isolate';
+    } else {
+      this.leftEye.style.width = '50%';
+      this.rightEye.style.width = '50%';
+      this.rightEye.style.left = '50%';
+    }
+    
+    container.appendChild(this.leftEye);
+    container.appendChild(this.rightEye);
+    this.scene.moveLayerElements(this.leftEye);
+    
+    // Re-mirror when layer content changes; see handleMutations()
+    if (typeof MutationObserver !== 'undefined') {
+      this.observer = new MutationObserver(records => this.handleMutations(records));
+      this.observer.observe(this.leftEye, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        characterData: true
+      });
+    }
+  }
+  
+  detach() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    
+    const container = this.scene.container;
+    this.scene.moveLayerElements(container);
+    this.scene.getAllLayers().forEach(layer => {
+      layer.element.style.transform = '';
+    });
+    container.removeChild(this.leftEye);
+    container.removeChild(this.rightEye);
+    container.style.isolation = '';
+    this.mirrors.clear();
+  }
+  
+  /**
+   * Keep the right eye in step with the left. Layer styles are copied every
+   * frame and accessibility attributes don't render, so both are skipped;
+   * other attribute changes (hover styles, selection classes) are copied to
+   * the one mirrored element, and anything else re-mirrors the eye.
+   */
+  handleMutations(records) {
+    if (this.dirty) return;
+    const layerElements = new Set(this.scene.getAllLayers().map(layer => layer.element));
+    const structural = records.some(record => {
+      if (record.type !== 'attributes') return true;
+      const name = record.attributeName;
+      if (UNRENDERED_ATTRIBUTE.test(name)) return false;
+      if (name === 'style' && layerElements.has(record.target)) return false;
+      return !this.copyAttribute(record.target, name);
+    });
+    if (structural) {
+      this.dirty = true;
+      this.scene.wake();
+    }
+  }
+  
+  /**
+   * Copy one attribute to an element's mirror; false when there is no
+   * mirror to update, or the element is a canvas whose pixels changed
+   */
+  copyAttribute(element, name) {
+    const path = getPath(this.leftEye, element);
+    return syncAttribute(element, path ? followPath(this.rightEye, path) : null, name);
+  }
+  
+  /**
+   * Copy the left eye's layers into the right eye, without ids or tab stops
+   */
+  mirror() {
+    const copy = this.leftEye.cloneNode(true);
+    CanvasRenderer.copyPixels(this.leftEye, copy);
+    copy.querySelectorAll('[id], [tabindex]').forEach(element => {
+      element.removeAttribute('id');
+      element.removeAttribute('tabindex');
+    });
+    this.rightEye.replaceChildren(...copy.childNodes);
+    
+    this.mirrors.clear();
+    this.scene.getAllLayers().forEach(layer => {
+      const path = getPath(this.leftEye, layer.element);
+      if (path) {
+        this.mirrors.set(layer, followPath(this.rightEye, path));
+      }
+    });
+    this.dirty = false;
+  }
+  
+  /**
+   * Disparity in px; children shift relative to their group
+   */
+  getDisparity(layer) {
+    const reference = layer.parent ? layer.parent.getWorldDepth() : this.convergence;
+    return this.separation * (layer.getWorldDepth() - reference);
+  }
+  
+  /**
+   * Shift each eye's copy of every layer; runs after the layers' own transforms
+   */
+  render() {
+    if (this.dirty) {
+      this.mirror();
+    }
+    
+    this.scene.forEachLayer(layer => {
+      const shift = this.getDisparity(layer) / 2;
+      const transform = layer.element.style.transform;
+      const mirror = this.mirrors.get(layer);
+      
+      // Near layers cross in front of the screen: left image right, right image left
+      layer.element.style.transform = `translateX(${shift}px) ${transform}`;
+      if (mirror) {
+        mirror.style.cssText = layer.element.style.cssText;
+        mirror.style.transform = `translateX(${-shift}px) ${transform}`;
+      }
+    });
+  }
+}
+
+function createEye(side) {
+  const eye = document.createElement('div');
+  eye.className = `parallax-eye parallax-eye-${side}`;
+  eye.style.position = 'absolute';
+  eye.style.top = '0';
+  eye.style.left = '0';
+  eye.style.width = '100%';
+  eye.style.height = '100%';
+  eye.style.overflow = 'hidden';
+  return eye;
+}
+
+/**
+ * Add the color-matrix filters once per document
+ */
+function ensureAnaglyphFilters() {
+  if (document.getElementById(`${FILTER_ID}-left`)) return;
+  
+  const ns = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(ns, 'svg');
+  svg.setAttribute('width', '0');
+  svg.setAttribute('height', '0');
+  svg.setAttribute('aria-hidden', 'true');
+  svg.style.position = 'absolute';
+  
+  Object.keys(ANAGLYPH_MATRICES).forEach(side => {
+    const filter = document.createElementNS(ns, 'filter');
+    filter.setAttribute('id', `${FILTER_ID}-${side}`);
+    filter.setAttribute('color-interpolation-filters', 'sRGB');
+    const matrix = document.createElementNS(ns, 'feColorMatrix');
+    matrix.setAttribute('type', 'matrix');
+    matrix.setAttribute('values', ANAGLYPH_MATRICES[side]);
+    filter.appendChild(matrix);
+    svg.appendChild(filter);
+  });
+  document.body.appendChild(svg);
+}
+
+/**
+ * Child indices leading from root to element, or null if it is not inside
+ */
+export default StereoRenderer;
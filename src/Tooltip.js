@@ -0,0 +1,313 @@
+/**
+ * Tooltip - Styled, accessible tooltips for the data marks of a scene
+ * Shows on hover, keyboard focus and touch taps, follows its mark as the
+ * layers shift with parallax, and stays inside the scene container.
+ * Content comes from a formatter callback, an HTML template, or the
+ * record's encoded fields with their labels and formatted values.
+ */
+
+let nextId = 0;
+
+class Tooltip {
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.fields = options.fields || null;        // Fields to list; default the encoded ones
+    this.labels = options.labels || {};          // field -> label, overriding channel labels
+    this.format = options.format || null;        // (value, field, data) => text, or field -> function or Intl.NumberFormat options
+    this.template = options.template || null;    // HTML with {field} placeholders, filled with escaped values
+    this.formatter = options.formatter || null;  // (data, { layer, fields }) => HTML string or Node
+    this.placement = options.placement || 'top'; // 'top' or 'bottom'; flips when there is no room
+    this.offset = options.offset !== undefined ? options.offset : 8; // px between mark and tooltip
+    this.touch = options.touch !== false;        // Tap a mark to show, tap elsewhere to hide
+    
+    this.element = document.createElement('div');
+    this.element.className = 'parallax-tooltip';
+    this.element.id = `parallax-tooltip-${++nextId}`;
+    this.element.setAttribute('role', 'tooltip');
+    this.element.hidden = true;
+    Object.assign(this.element.style, {
+      position: 'absolute',
+      left: '0',
+      top: '0',
+      pointerEvents: 'none',
+      zIndex: '30'
+    });
+    
+    // { data, layer, element, point, source, anchor, clientX, clientY } while shown
+    this.current = null;
+    this.pointerType = null; // Of the last press, to tell taps from mouse clicks
+    this.tapped = false;     // The last tap landed on a mark
+    
+    this.handleHover = event => {
+      if (event.originalEvent && event.originalEvent.pointerType === 'touch') return;
+      this.show(event, 'pointer');
+    };
+    this.handleLeave = event => {
+      if (this.isShowing(event, 'pointer')) this.hide();
+    };
+    this.handleTap = event => {
+      if (!this.touch || this.pointerType !== 'touch') return;
+      this.tapped = true;
+      if (this.isShowing(event, 'touch')) {
+        this.hide();
+      } else {
+        this.show(event, 'touch');
+      }
+    };
+    this.handleFocus = event => this.show(event, 'focus');
+    this.handleBlur = event => {
+      if (this.isShowing(event, 'focus')) this.hide();
+    };
+    this.handlePointerDown = e => {
+      this.pointerType = e.pointerType || 'mouse';
+      this.tapped = false;
+    };
+    this.handlePointerMove = e => {
+      const current = this.current;
+      if (current && current.anchor === 'pointer' && current.source === 'pointer') {
+        current.clientX = e.clientX;
+        current.clientY = e.clientY;
+        this.position();
+      }
+    };
+    this.handleClick = () => {
+      if (this.pointerType === 'touch' && !this.tapped && this.current && this.current.source === 'touch') {
+        this.hide();
+      }
+    };
+    this.handleKeyDown = e => {
+      if (e.key === 'Escape' && this.current) this.hide();
+    };
+    this.handleFrame = () => this.position();
+    this.handleLayerRemove = ({ layer }) => {
+      if (this.current && this.current.layer === layer) this.hide();
+    };
+  }
+  
+  attach() {
+    const scene = this.scene;
+    const container = scene.container;
+    container.addEventListener('pointerdown', this.handlePointerDown, true);
+    container.addEventListener('pointermove', this.handlePointerMove);
+    container.addEventListener('click', this.handleClick);
+    container.addEventListener('keydown', this.handleKeyDown);
+    
+    scene.on('pointhover', this.handleHover);
+    scene.on('pointleave', this.handleLeave);
+    scene.on('pointclick', this.handleTap);
+    scene.on('pointfocus', this.handleFocus);
+    scene.on('pointblur', this.handleBlur);
+    scene.on('layerremove', this.handleLayerRemove);
+  }
+  
+  detach() {
+    const scene = this.scene;
+    const container = scene.container;
+    this.hide();
+    container.removeEventListener('pointerdown', this.handlePointerDown, true);
+    container.removeEventListener('pointermove', this.handlePointerMove);
+    container.removeEventListener('click', this.handleClick);
+    container.removeEventListener('keydown', this.handleKeyDown);
+    
+    scene.off('pointhover', this.handleHover);
+    scene.off('pointleave', this.handleLeave);
+    scene.off('pointclick', this.handleTap);
+    scene.off('pointfocus', this.handleFocus);
+    scene.off('pointblur', this.handleBlur);
+    scene.off('layerremove', this.handleLayerRemove);
+    if (this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+  
+  /**
+   * Whether the tooltip is showing a point event's mark, opened by source
+   */
+  isShowing(event, source) {
+    const current = this.current;
+    return Boolean(current && current.source === source &&
+      current.layer === event.layer && current.data === event.data);
+  }
+  
+  /**
+   * Show the tooltip for a point event's { data, layer, element, originalEvent }
+   */
+  show({ data, layer, element, originalEvent }, source = 'pointer') {
+    if (layer.tooltip === false) return;
+    const content = this.render(data, layer);
+    if (!content) {
+      this.hide();
+      return;
+    }
+    this.hide();
+    
+    const current = { data, layer, element, point: null, source, anchor: 'element' };
+    if (originalEvent && originalEvent.clientX !== undefined) {
+      current.clientX = originalEvent.clientX;
+      current.clientY = originalEvent.clientY;
+    }
+    if (layer.canvasRenderer && element === layer.canvasRenderer.canvas) {
+      // Canvas marks have no element; follow the drawn point, or the pointer for series
+      current.point = current.clientX !== undefined
+        ? layer.canvasRenderer.hitTest(current.clientX, current.clientY)
+        : null;
+      current.anchor = current.point && !Array.isArray(current.point.data) ? 'point' : 'pointer';
+    } else if (Array.isArray(data) && source !== 'focus' && current.clientX !== undefined) {
+      current.anchor = 'pointer';
+    }
+    if (current.anchor === 'pointer' && current.clientX === undefined) return;
+    
+    this.element.replaceChildren();
+    if (typeof content === 'string') {
+      this.element.innerHTML = content;
+    } else {
+      this.element.appendChild(content);
+    }
+    if (this.element.parentNode !== this.scene.container) {
+      this.scene.container.appendChild(this.element);
+    }
+    if (current.anchor === 'element' && element.setAttribute) {
+      element.setAttribute('aria-describedby', this.element.id);
+    }
+    
+    this.current = current;
+    this.element.hidden = false;
+    // Follow the mark through parallax frames only while showing
+    this.scene.on('frame', this.handleFrame);
+    this.position();
+    if (this.current) {
+      this.scene.emit('tooltipshow', { data, layer, element: this.element });
+    }
+  }
+  
+  hide() {
+    const current = this.current;
+    if (!current) return;
+    
+    if (current.element && current.element.getAttribute &&
+        current.element.getAttribute('aria-describedby') === this.element.id) {
+      current.element.removeAttribute('aria-describedby');
+    }
+    this.current = null;
+    this.element.hidden = true;
+    this.scene.off('frame', this.handleFrame);
+    this.scene.emit('tooltiphide', { data: current.data, layer: current.layer });
+  }
+  
+  /**
+   * Options for a layer: the layer's own tooltip options override the scene's
+   */
+  getOptions(layer) {
+    return {
+      fields: this.fields,
+      labels: this.labels,
+      format: this.format,
+      template: this.template,
+      formatter: this.formatter,
+      ...(layer.tooltip || {})
+    };
+  }
+  
+  /**
+   * Tooltip content for a point as an HTML string or Node, or null for none
+   */
+  render(data, layer) {
+    const options = this.getOptions(layer);
+    const record = Array.isArray(data) ? data[0] : data;
+    
+    if (options.formatter) {
+      const content = options.formatter(data, { layer, fields: layer.getTooltipFields(data, options) });
+      return content === undefined || content === '' ? null : content;
+    }
+    if (options.template) {
+      if (!record) return null;
+      return options.template.replace(/\{\s*([^{}]+?)\s*\}/g, (match, field) =>
+        escapeHtml(layer.formatValue(record[field], field, options.format, record)));
+    }
+    
+    const fields = layer.getTooltipFields(data, options);
+    if (fields.length === 0) return null;
+    const list = document.createElement('dl');
+    list.className = 'parallax-tooltip-fields';
+    fields.forEach(({ label, text }) => {
+      const term = document.createElement('dt');
+      term.className = 'parallax-tooltip-label';
+      term.textContent = label;
+      const value = document.createElement('dd');
+      value.className = 'parallax-tooltip-value';
+      value.textContent = text;
+      list.appendChild(term);
+      list.appendChild(value);
+    });
+    return list;
+  }
+  
+  /**
+   * Client-space box the tooltip points at, or null once the mark is gone
+   */
+  getAnchor() {
+    const { layer, element, point, anchor, clientX, clientY } = this.current;
+    if (!layer.visible) return null;
+    
+    if (anchor === 'pointer') {
+      return { left: clientX, right: clientX, top: clientY, bottom: clientY };
+    }
+    if (anchor === 'point') {
+      if (layer.dataPoints.indexOf(point) === -1) return null;
+      const rect = layer.element.getBoundingClientRect();
+      const x = rect.left + point.visual.x / 100 * rect.width;
+      const y = rect.top + point.visual.y / 100 * rect.height;
+      const radius = (point.visual.size || 0) / 2;
+      return { left: x - radius, right: x + radius, top: y - radius, bottom: y + radius };
+    }
+    if (!element.isConnected || element.style.display === 'none') return null;
+    // The series SVG spans the layer; aim at the drawn path
+    return (Array.isArray(this.current.data) ? element.firstChild : element).getBoundingClientRect();
+  }
+  
+  /**
+   * Place the tooltip beside its mark, flipping and shifting to stay in the container
+   */
+  position() {
+    if (!this.current) return;
+    const anchor = this.getAnchor();
+    if (!anchor) {
+      this.hide();
+      return;
+    }
+    
+    const bounds = this.scene.container.getBoundingClientRect();
+    const width = this.element.offsetWidth;
+    const height = this.element.offsetHeight;
+    const above = anchor.top - bounds.top - this.offset - height;
+    const below = anchor.bottom - bounds.top + this.offset;
+    
+    let placement = this.placement;
+    if (placement === 'top' && above < 0 && below + height <= bounds.height) {
+      placement = 'bottom';
+    } else if (placement === 'bottom' && below + height > bounds.height && above >= 0) {
+      placement = 'top';
+    }
+    
+    const left = clamp((anchor.left + anchor.right) / 2 - bounds.left - width / 2, 0, bounds.width - width);
+    const top = clamp(placement === 'top' ? above : below, 0, bounds.height - height);
+    this.element.style.transform = `translate(${Math.round(left)}px, ${Math.round(top)}px)`;
+    this.element.dataset.placement = placement;
+  }
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, c => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;'
+  })[c]);
+}
+
+export default Tooltip;
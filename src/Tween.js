@@ -0,0 +1,63 @@
+/**
+ * Tween - Animates numeric properties of an object over time
+ * Driven by the scene's frame loop through step(deltaTime); `finished`
+ * resolves true on completion or false when stopped early
+ */
+import { resolveEasing } from './easing.js';
+
+class Tween {
+  constructor(target, to, options = {}) {
+    this.target = target;
+    this.to = to;
+    this.from = {};
+    Object.keys(to).forEach(key => {
+      this.from[key] = target[key];
+    });
+    
+    this.duration = options.duration !== undefined ? options.duration : 1000;
+    this.easing = resolveEasing(options.easing);
+    this.onUpdate = options.onUpdate || null;
+    this.elapsed = 0;
+    this.done = false;
+    
+    this.finished = new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+  
+  /**
+   * Advance the tween; returns true once it has finished
+   */
+  step(deltaTime) {
+    if (this.done) return true;
+    
+    this.elapsed += deltaTime;
+    const t = this.duration > 0 ? Math.min(this.elapsed / this.duration, 1) : 1;
+    const eased = this.easing(t);
+    
+    Object.keys(this.to).forEach(key => {
+      const from = this.from[key];
+      this.target[key] = from + (this.to[key] - from) * eased;
+    });
+    
+    if (this.onUpdate) {
+      this.onUpdate(t);
+    }
+    if (t >= 1) {
+      this.done = true;
+      this.resolve(true);
+    }
+    return this.done;
+  }
+  
+  /**
+   * Stop where it is
+   */
+  stop() {
+    if (this.done) return;
+    this.done = true;
+    this.resolve(false);
+  }
+}
+
+export default Tween;
@@ -0,0 +1,163 @@
+/**
+ * Color schemes for the color channel
+ * Sequential and diverging schemes are interpolated over 0-1; categorical
+ * schemes are lists of distinct colors assigned to categories in order.
+ */
+
+// name -> { type, colors, colorblindSafe }
+const colorSchemes = {};
+
+/**
+ * Add a scheme that can then be picked by name
+ */
+function registerColorScheme(name, colors, options = {}) {
+  colorSchemes[name] = {
+    name,
+    type: options.type || 'sequential', // 'sequential', 'diverging' or 'categorical'
+    colors: colors.slice(),
+    colorblindSafe: options.colorblindSafe || false
+  };
+  return colorSchemes[name];
+}
+
+// Sequential
+registerColorScheme('blues', ['#f7fbff', '#deebf7', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b'], { colorblindSafe: true });
+registerColorScheme('greens', ['#f7fcf5', '#e5f5e0', '#c7e9c0', '#a1d99b', '#74c476', '#41ab5d', '#238b45', '#006d2c', '#00441b'], { colorblindSafe: true });
+registerColorScheme('oranges', ['#fff5eb', '#fee6ce', '#fdd0a2', '#fdae6b', '#fd8d3c', '#f16913', '#d94801', '#a63603', '#7f2704'], { colorblindSafe: true });
+registerColorScheme('viridis', ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'], { colorblindSafe: true });
+registerColorScheme('cividis', ['#00224e', '#123570', '#3b496c', '#575d6d', '#707173', '#8a8678', '#a59c74', '#c3b369', '#e1cc55', '#fee838'], { colorblindSafe: true });
+registerColorScheme('magma', ['#000004', '#180f3d', '#440f76', '#721f81', '#9e2f7f', '#cd4071', '#f1605d', '#fd9668', '#feca8d', '#fcfdbf'], { colorblindSafe: true });
+
+// Diverging: the middle color sits at the centre of the domain, or at the
+// color dimension's midpoint
+registerColorScheme('redBlue', ['#67001f', '#b2182b', '#d6604d', '#f4a582', '#fddbc7', '#f7f7f7', '#d1e5f0', '#92c5de', '#4393c3', '#2166ac', '#053061'], { type: 'diverging', colorblindSafe: true });
+registerColorScheme('purpleGreen', ['#40004b', '#762a83', '#9970ab', '#c2a5cf', '#e7d4e8', '#f7f7f7', '#d9f0d3', '#a6dba0', '#5aae61', '#1b7837', '#00441b'], { type: 'diverging', colorblindSafe: true });
+registerColorScheme('brownTeal', ['#543005', '#8c510a', '#bf812d', '#dfc27d', '#f6e8c3', '#f5f5f5', '#c7eae5', '#80cdc1', '#35978f', '#01665e', '#003c30'], { type: 'diverging', colorblindSafe: true });
+
+// Categorical; Okabe-Ito uses grey in place of black to stay visible on dark scenes
+registerColorScheme('tableau10', ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'], { type: 'categorical' });
+registerColorScheme('category10', ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'], { type: 'categorical' });
+registerColorScheme('okabeIto', ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7', '#999999'], { type: 'categorical', colorblindSafe: true });
+registerColorScheme('set2', ['#66c2a5', '#fc8d62', '#8da0cb', '#e78ac3', '#a6d854', '#ffd92f', '#e5c494', '#b3b3b3'], { type: 'categorical' });
+
+/**
+ * Look a scheme up by name; an array of colors is treated as categorical
+ */
+function getColorScheme(scheme) {
+  if (Array.isArray(scheme)) {
+    return { name: null, type: 'categorical', colors: scheme, colorblindSafe: false };
+  }
+  if (scheme && typeof scheme === 'object') {
+    return scheme;
+  }
+  if (!colorSchemes[scheme]) {
+    throw new Error(`Unknown color scheme: ${scheme}`);
+  }
+  return colorSchemes[scheme];
+}
+
+/**
+ * Function from t in 0-1 to an rgb() color blended along colors
+ */
+function interpolateColors(colors) {
+  const stops = colors.map(parseColor);
+  return t => {
+    if (stops.length === 1 || !isFinite(t)) return toRgb(stops[0]);
+    const position = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+    const i = Math.min(stops.length - 2, Math.floor(position));
+    const f = position - i;
+    return toRgb(stops[i].map((channel, c) => channel + (stops[i + 1][c] - channel) * f));
+  };
+}
+
+/**
+ * Colors to assign to count categories: a categorical scheme's own list,
+ * or count evenly spaced samples of a sequential/diverging one
+ */
+function schemeColors(scheme, count) {
+  if (scheme.type === 'categorical') return scheme.colors;
+  const interpolate = interpolateColors(scheme.colors);
+  const colors = [];
+  for (let i = 0; i < count; i++) {
+    colors.push(interpolate(count === 1 ? 0.5 : i / (count - 1)));
+  }
+  return colors;
+}
+
+/**
+ * A CSS color to [r, g, b]: '#rgb', '#rrggbb', rgb(), hsl(), or a named
+ * color where a canvas can resolve it. Alpha is ignored.
+ */
+function parseColor(color) {
+  const text = String(color).trim().toLowerCase();
+  let match = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (match) {
+    let hex = match[1];
+    if (hex.length === 3) {
+      hex = hex.split('').map(c => c + c).join('');
+    }
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+  }
+  
+  match = text.match(/^(rgb|hsl)a?\(([^)]*)\)$/);
+  if (match) {
+    const parts = match[2].split(/[\s,/]+/).filter(Boolean).slice(0, 3);
+    if (parts.length === 3 && parts.every(part => !isNaN(parseFloat(part)))) {
+      if (match[1] === 'rgb') {
+        return parts.map(part => (part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part)));
+      }
+      return hslToRgb(parseFloat(parts[0]), parseFloat(parts[1]) / 100, parseFloat(parts[2]) / 100);
+    }
+  }
+  
+  const resolved = resolveNamedColor(text);
+  if (resolved) return parseColor(resolved);
+  throw new Error(`Unsupported color: ${color}`);
+}
+
+function hslToRgb(hue, saturation, lightness) {
+  const h = ((hue % 360) + 360) % 360 / 30;
+  const a = saturation * Math.min(lightness, 1 - lightness);
+  return [0, 8, 4].map(n => {
+    const k = (n + h) % 12;
+    return 255 * (lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  });
+}
+
+let colorContext;
+
+/**
+ * Hex for a named color, by letting a canvas context normalize it; null
+ * for unknown names or without canvas support
+ */
+function resolveNamedColor(name) {
+  if (colorContext === undefined) {
+    const canvas = typeof document !== 'undefined' ? document.createElement('canvas') : null;
+    try {
+      colorContext = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+    } catch (error) {
+      colorContext = null;
+    }
+  }
+  if (!colorContext || !/^[a-z]+$/.test(name)) return null;
+  
+  // An invalid color leaves fillStyle unchanged, so try from two starting colors
+  colorContext.fillStyle = '#000000';
+  colorContext.fillStyle = name;
+  const first = colorContext.fillStyle;
+  colorContext.fillStyle = '#ffffff';
+  colorContext.fillStyle = name;
+  return first === colorContext.fillStyle && first.charAt(0) === '#' ? first : null;
+}
+
+function toRgb(channels) {
+  return `rgb(${channels.map(Math.round).join(', ')})`;
+}
+
+export {
+  colorSchemes,
+  registerColorScheme,
+  getColorScheme,
+  interpolateColors,
+  schemeColors
+};
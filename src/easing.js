@@ -0,0 +1,24 @@
+/**
+ * Easing functions for camera transitions and tours
+ * Each maps linear progress t in [0, 1] to eased progress
+ */
+const easings = {
+  linear: t => t,
+  easeInQuad: t => t * t,
+  easeOutQuad: t => t * (2 - t),
+  easeInOutQuad: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+  easeInCubic: t => t * t * t,
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2
+};
+
+/**
+ * Resolve an easing given by name or function, falling back to easeInOutCubic
+ */
+function resolveEasing(easing) {
+  if (typeof easing === 'function') return easing;
+  return easings[easing] || easings.easeInOutCubic;
+}
+
+export { easings, resolveEasing };
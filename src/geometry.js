@@ -0,0 +1,22 @@
+/**
+ * Geometry helpers shared by hit testing and selection
+ */
+
+/**
+ * Even-odd test for whether (x, y) lies inside a polygon of [x, y] points
+ */
+function containsPoint(points, x, y) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export {
+  containsPoint
+};
@@ -6,12 +6,69 @@
 import ParallaxScene from './ParallaxScene.js';
 import ParallaxLayer from './ParallaxLayer.js';
 import DataLayer from './DataLayer.js';
+import LayerGroup from './LayerGroup.js';
+import AxisLayer from './AxisLayer.js';
+import Legend from './Legend.js';
+import CanvasRenderer from './CanvasRenderer.js';
+import SceneLink from './SceneLink.js';
+import Selection from './Selection.js';
+import Tooltip from './Tooltip.js';
+import EventEmitter from './EventEmitter.js';
+import Clock from './Clock.js';
+import ManualClock from './ManualClock.js';
+import {
+  createScale,
+  linearScale,
+  logScale,
+  powScale,
+  sqrtScale,
+  timeScale,
+  bandScale,
+  ordinalScale
+} from './scales.js';
+import { colorSchemes, registerColorScheme, getColorScheme, interpolateColors } from './colors.js';
+import InputProvider from './input/InputProvider.js';
+import PointerInput from './input/PointerInput.js';
+import OrientationInput from './input/OrientationInput.js';
+import KeyboardInput from './input/KeyboardInput.js';
+import GamepadInput from './input/GamepadInput.js';
+import ScrollInput from './input/ScrollInput.js';
+import ScriptedInput from './input/ScriptedInput.js';
 
 // Export all components
 export {
   ParallaxScene,
   ParallaxLayer,
-  DataLayer
+  DataLayer,
+  LayerGroup,
+  AxisLayer,
+  Legend,
+  CanvasRenderer,
+  SceneLink,
+  Selection,
+  Tooltip,
+  EventEmitter,
+  Clock,
+  ManualClock,
+  InputProvider,
+  PointerInput,
+  OrientationInput,
+  KeyboardInput,
+  GamepadInput,
+  ScrollInput,
+  ScriptedInput,
+  createScale,
+  linearScale,
+  logScale,
+  powScale,
+  sqrtScale,
+  timeScale,
+  bandScale,
+  ordinalScale,
+  colorSchemes,
+  registerColorScheme,
+  getColorScheme,
+  interpolateColors
 };
 
 // Also create a global ParaVi object for non-module usage
@@ -19,6 +76,35 @@ if (typeof window !== 'undefined') {
   window.ParaVi = {
     ParallaxScene,
     ParallaxLayer,
-    DataLayer
+    DataLayer,
+    LayerGroup,
+    AxisLayer,
+    Legend,
+    CanvasRenderer,
+    SceneLink,
+    Selection,
+    Tooltip,
+    EventEmitter,
+    Clock,
+    ManualClock,
+    InputProvider,
+    PointerInput,
+    OrientationInput,
+    KeyboardInput,
+    GamepadInput,
+    ScrollInput,
+    ScriptedInput,
+    createScale,
+    linearScale,
+    logScale,
+    powScale,
+    sqrtScale,
+    timeScale,
+    bandScale,
+    ordinalScale,
+    colorSchemes,
+    registerColorScheme,
+    getColorScheme,
+    interpolateColors
   };
 }
@@ -0,0 +1,66 @@
+/**
+ * GamepadInput - Drives the scene from a gamepad analog stick
+ * Gamepads have no events for axis changes, so the stick is polled every
+ * frame while the gamepad is connected
+ */
+import InputProvider from './InputProvider.js';
+
+class GamepadInput extends InputProvider {
+  constructor(options = {}) {
+    super({ name: 'gamepad', ...options });
+    this.index = options.index || 0;
+    this.axes = options.axes || [0, 1]; // Left stick by default
+    this.deadzone = options.deadzone !== undefined ? options.deadzone : 0.15;
+    
+    this.handleConnection = this.handleConnection.bind(this);
+  }
+  
+  bind() {
+    window.addEventListener('gamepadconnected', this.handleConnection);
+    window.addEventListener('gamepaddisconnected', this.handleConnection);
+    this.handleConnection();
+  }
+  
+  unbind() {
+    window.removeEventListener('gamepadconnected', this.handleConnection);
+    window.removeEventListener('gamepaddisconnected', this.handleConnection);
+    this.polling = false;
+  }
+  
+  /**
+   * Keep the render loop awake only while our gamepad is connected
+   */
+  handleConnection() {
+    this.polling = Boolean(this.getGamepad());
+    if (this.polling) {
+      this.notify();
+    } else {
+      this.reset();
+    }
+  }
+  
+  getGamepad() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+    return navigator.getGamepads()[this.index] || null;
+  }
+  
+  update() {
+    const gamepad = this.getGamepad();
+    if (!gamepad) {
+      this.polling = false;
+      this.reset();
+      return;
+    }
+    
+    const x = gamepad.axes[this.axes[0]] || 0;
+    const y = gamepad.axes[this.axes[1]] || 0;
+    
+    if (Math.abs(x) < this.deadzone && Math.abs(y) < this.deadzone) {
+      this.reset();
+    } else {
+      this.setPosition(x, y);
+    }
+  }
+}
+
+export default GamepadInput;
@@ -0,0 +1,112 @@
+/**
+ * InputProvider - Base class for anything that can drive the parallax camera
+ * Providers report a normalized position in the -1 to 1 range; the scene
+ * blends every active provider by weight into its target position
+ */
+class InputProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'input';
+    this.weight = options.weight !== undefined ? options.weight : 1;
+    this.enabled = options.enabled !== false;
+    
+    // Normalized position reported to the scene
+    this.x = 0;
+    this.y = 0;
+    this.active = false;
+    
+    // Polling providers keep the scene's render loop awake
+    this.polling = false;
+    
+    this.scene = null;
+  }
+  
+  /**
+   * Attach the provider to a scene and start listening for input
+   */
+  attach(scene) {
+    if (this.scene) {
+      this.detach();
+    }
+    this.scene = scene;
+    this.bind();
+  }
+  
+  /**
+   * Stop listening for input and release the scene
+   */
+  detach() {
+    if (!this.scene) return;
+    this.unbind();
+    this.reset();
+    this.scene = null;
+  }
+  
+  /**
+   * Hook for subclasses to add their event listeners
+   */
+  bind() {}
+  
+  /**
+   * Hook for subclasses to remove their event listeners
+   */
+  unbind() {}
+  
+  /**
+   * Called by the scene once per frame, for providers that need polling
+   */
+  update(deltaTime) {}
+  
+  /**
+   * Set the reported position, clamped to the -1 to 1 range
+   */
+  setPosition(x, y) {
+    this.x = Math.max(-1, Math.min(1, x));
+    this.y = Math.max(-1, Math.min(1, y));
+    this.active = true;
+    this.notify();
+  }
+  
+  /**
+   * Return to center and stop contributing to the scene
+   */
+  reset() {
+    this.x = 0;
+    this.y = 0;
+    this.active = false;
+    this.notify();
+  }
+  
+  /**
+   * Wake the scene's render loop after a change
+   */
+  notify() {
+    if (this.scene) {
+      this.scene.wake();
+    }
+  }
+  
+  /**
+   * Get the current position, or null when the provider has nothing to report
+   */
+  getValue() {
+    if (!this.enabled || !this.active) return null;
+    return { x: this.x, y: this.y };
+  }
+  
+  enable() {
+    this.enabled = true;
+    this.notify();
+  }
+  
+  disable() {
+    this.enabled = false;
+    this.notify();
+  }
+  
+  setWeight(weight) {
+    this.weight = weight;
+    this.notify();
+  }
+}
+
+export default InputProvider;
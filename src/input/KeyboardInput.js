@@ -0,0 +1,62 @@
+/**
+ * KeyboardInput - Nudges the scene with the arrow keys for kiosk and keyboard users
+ * Escape or Home returns to center
+ */
+import InputProvider from './InputProvider.js';
+
+const KEY_DIRECTIONS = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1]
+};
+
+class KeyboardInput extends InputProvider {
+  constructor(options = {}) {
+    super({ name: 'keyboard', ...options });
+    this.step = options.step || 0.1;
+    this.target = options.target || null; // Defaults to the scene container
+    this.addedTabIndex = false; // Whether bind() made the container focusable
+    
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+  
+  bind() {
+    this.eventTarget = this.target || this.scene.container;
+    
+    // The container needs to be focusable to receive key events
+    if (this.eventTarget === this.scene.container && !this.eventTarget.hasAttribute('tabindex')) {
+      this.eventTarget.setAttribute('tabindex', '0');
+      this.addedTabIndex = true;
+    }
+    
+    this.eventTarget.addEventListener('keydown', this.handleKeyDown);
+  }
+  
+  unbind() {
+    this.eventTarget.removeEventListener('keydown', this.handleKeyDown);
+    if (this.addedTabIndex) {
+      this.eventTarget.removeAttribute('tabindex');
+      this.addedTabIndex = false;
+    }
+    this.eventTarget = null;
+  }
+  
+  handleKeyDown(e) {
+    if (e.key === 'Escape' || e.key === 'Home') {
+      this.reset();
+      return;
+    }
+    
+    const direction = KEY_DIRECTIONS[e.key];
+    if (!direction) return;
+    
+    this.setPosition(
+      this.x + direction[0] * this.step,
+      this.y + direction[1] * this.step
+    );
+    e.preventDefault();
+  }
+}
+
+export default KeyboardInput;
@@ -0,0 +1,59 @@
+/**
+ * OrientationInput - Drives the scene from device tilt on phones and tablets
+ * The first reading becomes the neutral pose; call calibrate() to re-center
+ */
+import InputProvider from './InputProvider.js';
+
+class OrientationInput extends InputProvider {
+  constructor(options = {}) {
+    super({ name: 'orientation', ...options });
+    this.maxAngle = options.maxAngle || 30; // Degrees of tilt for full deflection
+    this.baseBeta = null;
+    this.baseGamma = null;
+    
+    this.handleOrientation = this.handleOrientation.bind(this);
+  }
+  
+  /**
+   * iOS requires a user gesture before orientation events are delivered
+   */
+  static requestPermission() {
+    if (typeof DeviceOrientationEvent !== 'undefined' &&
+        typeof DeviceOrientationEvent.requestPermission === 'function') {
+      return DeviceOrientationEvent.requestPermission();
+    }
+    return Promise.resolve('granted');
+  }
+  
+  bind() {
+    window.addEventListener('deviceorientation', this.handleOrientation);
+  }
+  
+  unbind() {
+    window.removeEventListener('deviceorientation', this.handleOrientation);
+  }
+  
+  handleOrientation(e) {
+    if (e.beta === null || e.gamma === null) return;
+    
+    if (this.baseBeta === null) {
+      this.baseBeta = e.beta;
+      this.baseGamma = e.gamma;
+    }
+    
+    this.setPosition(
+      (e.gamma - this.baseGamma) / this.maxAngle,
+      (e.beta - this.baseBeta) / this.maxAngle
+    );
+  }
+  
+  /**
+   * Use the next reading as the neutral pose
+   */
+  calibrate() {
+    this.baseBeta = null;
+    this.baseGamma = null;
+  }
+}
+
+export default OrientationInput;
@@ -0,0 +1,63 @@
+/**
+ * PointerInput - Drives the scene from mouse, pen and touch position over the container
+ * Mouse and pen follow hover; touch follows the primary finger while it is down.
+ * How touch interacts with page scrolling is set by the scene's touchPolicy.
+ */
+import InputProvider from './InputProvider.js';
+
+class PointerInput extends InputProvider {
+  constructor(options = {}) {
+    super({ name: 'pointer', ...options });
+    
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerEnd = this.handlePointerEnd.bind(this);
+  }
+  
+  bind() {
+    const container = this.scene.container;
+    container.addEventListener('pointerdown', this.handlePointerMove);
+    container.addEventListener('pointermove', this.handlePointerMove);
+    container.addEventListener('pointerleave', this.handlePointerEnd);
+    container.addEventListener('pointerup', this.handlePointerEnd);
+    container.addEventListener('pointercancel', this.handlePointerEnd);
+  }
+  
+  unbind() {
+    const container = this.scene.container;
+    container.removeEventListener('pointerdown', this.handlePointerMove);
+    container.removeEventListener('pointermove', this.handlePointerMove);
+    container.removeEventListener('pointerleave', this.handlePointerEnd);
+    container.removeEventListener('pointerup', this.handlePointerEnd);
+    container.removeEventListener('pointercancel', this.handlePointerEnd);
+  }
+  
+  handlePointerMove(e) {
+    if (!e.isPrimary) return;
+    this.setClientPosition(e.clientX, e.clientY);
+  }
+  
+  handlePointerEnd(e) {
+    if (!e.isPrimary) return;
+    
+    // Mouse keeps hovering after a button release; a cancel means the
+    // browser took over the touch (e.g. to scroll the page)
+    if (e.type === 'pointerup' && e.pointerType === 'mouse') return;
+    
+    // Return to center when the pointer leaves or lifts
+    this.reset();
+  }
+  
+  /**
+   * Normalize a client coordinate to the -1 to 1 range of the container
+   */
+  setClientPosition(clientX, clientY) {
+    const rect = this.scene.container.getBoundingClientRect();
+    if (!rect.width || !rect.height) return;
+    this.setPosition(
+      ((clientX - rect.left) / rect.width - 0.5) * 2,
+      ((clientY - rect.top) / rect.height - 0.5) * 2
+    );
+  }
+}
+
+export default PointerInput;
@@ -0,0 +1,38 @@
+/**
+ * ScriptedInput - Drives the scene from code, for demos and tests
+ * Either call setPosition() directly or pass a path function of elapsed time
+ */
+import InputProvider from './InputProvider.js';
+
+class ScriptedInput extends InputProvider {
+  constructor(options = {}) {
+    super({ name: 'scripted', ...options });
+    this.path = options.path || null; // (elapsedMs) => ({ x, y }) or null
+    this.elapsed = 0;
+    this.polling = Boolean(this.path);
+  }
+  
+  update(deltaTime) {
+    if (!this.path) return;
+    
+    this.elapsed += deltaTime;
+    const position = this.path(this.elapsed);
+    if (position) {
+      this.setPosition(position.x, position.y);
+    } else {
+      this.reset();
+    }
+  }
+  
+  /**
+   * Replace the path and restart its clock
+   */
+  setPath(path) {
+    this.path = path;
+    this.elapsed = 0;
+    this.polling = Boolean(path);
+    this.notify();
+  }
+}
+
+export default ScriptedInput;
@@ -0,0 +1,33 @@
+/**
+ * ScrollInput - Drives the scene from the container's position in the page scroll
+ * y runs from -1 when the container enters at the bottom of the viewport
+ * to 1 when it leaves at the top
+ */
+import InputProvider from './InputProvider.js';
+
+class ScrollInput extends InputProvider {
+  constructor(options = {}) {
+    super({ name: 'scroll', ...options });
+    this.handleScroll = this.handleScroll.bind(this);
+  }
+  
+  bind() {
+    window.addEventListener('scroll', this.handleScroll, { passive: true });
+    window.addEventListener('resize', this.handleScroll);
+    this.handleScroll();
+  }
+  
+  unbind() {
+    window.removeEventListener('scroll', this.handleScroll, { passive: true });
+    window.removeEventListener('resize', this.handleScroll);
+  }
+  
+  handleScroll() {
+    const rect = this.scene.container.getBoundingClientRect();
+    const viewportHeight = window.innerHeight;
+    const progress = (viewportHeight - rect.top) / (viewportHeight + rect.height);
+    this.setPosition(0, progress * 2 - 1);
+  }
+}
+
+export default ScrollInput;
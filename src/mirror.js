@@ -0,0 +1,47 @@
+/**
+ * Helpers shared by the copies of live layer content: the right eye of
+ * stereo output and the reflected tiles of mirrored edges
+ */
+
+/**
+ * Attributes that don't change how content looks, so copies need no refresh
+ */
+const UNRENDERED_ATTRIBUTE = /^(aria-.*|role|tabindex|id|title)$/;
+
+/**
+ * Child indices leading from root down to element, or null if it is not inside
+ */
+function getPath(root, element) {
+  const path = [];
+  for (let node = element; node !== root; node = node.parentNode) {
+    if (!node || !node.parentNode) return null;
+    path.unshift(Array.prototype.indexOf.call(node.parentNode.children, node));
+  }
+  return path;
+}
+
+function followPath(root, path) {
+  return path.reduce((node, index) => (node ? node.children[index] : null), root);
+}
+
+/**
+ * Copy one attribute of an element to its copy; false when the copy doesn't
+ * match the element, or the element is a canvas whose pixels changed
+ */
+function syncAttribute(element, copy, name) {
+  if (element.nodeName === 'CANVAS' || !copy || copy.nodeName !== element.nodeName) return false;
+  const value = element.getAttribute(name);
+  if (value === null) {
+    copy.removeAttribute(name);
+  } else {
+    copy.setAttribute(name, value);
+  }
+  return true;
+}
+
+export {
+  UNRENDERED_ATTRIBUTE,
+  getPath,
+  followPath,
+  syncAttribute
+};
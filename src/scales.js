@@ -0,0 +1,496 @@
+/**
+ * Scales map data values (domain) to visual values (range)
+ * Every scale is a function with domain, range, ticks(count), tickFormat(count)
+ * and bandwidth(); continuous scales also have invert(value)
+ */
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Candidate time tick intervals: [unit, step, approximate ms]
+const TIME_INTERVALS = [
+  ['second', 1, 1e3], ['second', 5, 5e3], ['second', 15, 15e3], ['second', 30, 30e3],
+  ['minute', 1, 6e4], ['minute', 5, 3e5], ['minute', 15, 9e5], ['minute', 30, 18e5],
+  ['hour', 1, 36e5], ['hour', 3, 108e5], ['hour', 6, 216e5], ['hour', 12, 432e5],
+  ['day', 1, 864e5], ['day', 2, 1728e5], ['week', 1, 6048e5],
+  ['month', 1, 2592e6], ['month', 3, 7776e6], ['year', 1, 31536e6]
+];
+
+/**
+ * Step between roughly count ticks, rounded to 1, 2 or 5 times a power of ten
+ */
+function tickStep(start, stop, count) {
+  const rough = Math.abs(stop - start) / Math.max(1, count);
+  if (!isFinite(rough) || rough === 0) return 0;
+  let step = Math.pow(10, Math.floor(Math.log10(rough)));
+  const error = rough / step;
+  if (error >= Math.sqrt(50)) step *= 10;
+  else if (error >= Math.sqrt(10)) step *= 5;
+  else if (error >= Math.sqrt(2)) step *= 2;
+  return step;
+}
+
+/**
+ * Round numbers to the step's precision so 0.1 * 3 prints as 0.3
+ */
+function round(value) {
+  return parseFloat(value.toPrecision(12));
+}
+
+function linearTicks(start, stop, count) {
+  const min = Math.min(start, stop);
+  const max = Math.max(start, stop);
+  const step = tickStep(min, max, count);
+  if (step === 0) return [min];
+  
+  const ticks = [];
+  for (let i = Math.ceil(min / step); i <= Math.floor(max / step); i++) {
+    ticks.push(round(i * step));
+  }
+  return ticks;
+}
+
+function niceLinear(domain, count) {
+  let [min, max] = domain;
+  for (let i = 0; i < 2; i++) {
+    const step = tickStep(min, max, count);
+    if (step === 0) break;
+    min = Math.floor(min / step) * step;
+    max = Math.ceil(max / step) * step;
+  }
+  return [round(min), round(max)];
+}
+
+/**
+ * Short number format with k/M/B suffixes for large values
+ */
+function formatNumber(value, step) {
+  const abs = Math.abs(value);
+  const suffixes = [[1e9, 'B'], [1e6, 'M'], [1e3, 'k']];
+  for (let i = 0; i < suffixes.length; i++) {
+    const [size, suffix] = suffixes[i];
+    if (abs >= size) {
+      return `${round(value / size)}${suffix}`;
+    }
+  }
+  if (!step) return String(round(value));
+  const decimals = step < 1 ? Math.min(10, Math.ceil(-Math.log10(step))) : 0;
+  return value.toFixed(decimals);
+}
+
+function toTime(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string') return Date.parse(value);
+  return Number(value);
+}
+
+function extent(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach(value => {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+  return min <= max ? [min, max] : [0, 1];
+}
+
+function unique(values) {
+  const seen = new Set();
+  return values.filter(value => {
+    if (seen.has(value)) return false;
+    seen.add(value);
+    return true;
+  });
+}
+
+/**
+ * Resolve range, reverse and padding options into [start, end]
+ */
+function resolveRange(options, padding) {
+  let [start, end] = options.range || [0, 1];
+  if (options.reverse) {
+    [start, end] = [end, start];
+  }
+  if (padding) {
+    const inset = (end - start) * padding;
+    start += inset;
+    end -= inset;
+  }
+  return [start, end];
+}
+
+/**
+ * Shared body of linear, log, pow and time scales; transform maps domain
+ * values into the space where interpolation is linear
+ */
+function continuousScale(type, options, transform, untransform) {
+  const domain = options.domain || [0, 1];
+  const [r0, r1] = resolveRange(options, options.padding);
+  const d0 = transform(domain[0]);
+  const d1 = transform(domain[domain.length - 1]);
+  const clamp = Boolean(options.clamp);
+  
+  const scale = value => {
+    const x = transform(value);
+    if (x === null || x === undefined || isNaN(x)) return NaN;
+    let t = d1 === d0 ? 0 : (x - d0) / (d1 - d0);
+    if (clamp) t = Math.max(0, Math.min(1, t));
+    return r0 + t * (r1 - r0);
+  };
+  
+  scale.type = type;
+  scale.domain = domain;
+  scale.range = [r0, r1];
+  scale.invert = value => {
+    const t = r1 === r0 ? 0 : (value - r0) / (r1 - r0);
+    return untransform(d0 + t * (d1 - d0));
+  };
+  scale.bandwidth = () => 0;
+  scale.ticks = count => linearTicks(domain[0], domain[domain.length - 1], count || 5);
+  scale.tickFormat = count => {
+    const step = tickStep(domain[0], domain[domain.length - 1], count || 5);
+    return value => formatNumber(value, step);
+  };
+  return scale;
+}
+
+/**
+ * Linear scale; nice rounds the domain out to tick values, zero includes 0
+ */
+function linearScale(options = {}) {
+  return continuousScale('linear', { ...options, domain: continuousDomain(options) }, Number, x => x);
+}
+
+function powScale(options = {}) {
+  const exponent = options.exponent !== undefined ? options.exponent : 1;
+  const transform = x => {
+    const value = Number(x);
+    return value < 0 ? -Math.pow(-value, exponent) : Math.pow(value, exponent);
+  };
+  const untransform = x => (x < 0 ? -Math.pow(-x, 1 / exponent) : Math.pow(x, 1 / exponent));
+  const type = exponent === 0.5 ? 'sqrt' : 'pow';
+  return continuousScale(type, { ...options, domain: continuousDomain(options) }, transform, untransform);
+}
+
+function sqrtScale(options = {}) {
+  return powScale({ ...options, exponent: 0.5 });
+}
+
+/**
+ * Log scale; the domain must not include or cross zero
+ */
+function logScale(options = {}) {
+  const base = options.base || 10;
+  let domain = options.domain || [1, base];
+  if (domain[0] <= 0 || domain[domain.length - 1] <= 0) {
+    throw new Error('Log scale domain must be strictly positive');
+  }
+  const log = x => Math.log(x) / Math.log(base);
+  if (options.nice) {
+    domain = [
+      Math.pow(base, Math.floor(log(domain[0]))),
+      Math.pow(base, Math.ceil(log(domain[domain.length - 1])))
+    ];
+  }
+  
+  const transform = x => {
+    const value = Number(x);
+    return value > 0 ? log(value) : NaN;
+  };
+  const scale = continuousScale('log', { ...options, domain }, transform, x => Math.pow(base, x));
+  
+  // Powers of the base, filled in with multiples when the domain spans few of them
+  scale.ticks = count => {
+    const limit = count || 5;
+    const min = Math.min(domain[0], domain[domain.length - 1]);
+    const max = Math.max(domain[0], domain[domain.length - 1]);
+    const start = Math.floor(log(min));
+    const stop = Math.ceil(log(max));
+    const ticks = [];
+    const decades = stop - start;
+    let multiples = [1];
+    if (decades <= 1) {
+      multiples = Array.from({ length: Math.max(1, Math.floor(base) - 1) }, (_, k) => k + 1);
+    } else if (decades < limit / 2 && base === 10) {
+      multiples = [1, 2, 5];
+    }
+    for (let i = start; i <= stop; i++) {
+      const power = Math.pow(base, i);
+      multiples.forEach(k => {
+        const tick = round(power * k);
+        if (tick >= min && tick <= max) ticks.push(tick);
+      });
+    }
+    return ticks;
+  };
+  scale.tickFormat = () => value => formatNumber(value);
+  return scale;
+}
+
+/**
+ * Time scale over Dates, timestamps or date strings; ticks fall on calendar units
+ */
+function timeScale(options = {}) {
+  let domain = (options.domain || [0, 864e5]).map(toTime);
+  const interval = timeInterval(domain[0], domain[domain.length - 1], 5);
+  if (options.nice) {
+    domain = [floorTime(domain[0], interval), ceilTime(domain[domain.length - 1], interval)];
+  }
+  
+  const scale = continuousScale('time', { ...options, domain }, toTime, x => new Date(x));
+  scale.domain = domain.map(time => new Date(time));
+  scale.ticks = count => {
+    const min = Math.min(domain[0], domain[domain.length - 1]);
+    const max = Math.max(domain[0], domain[domain.length - 1]);
+    const tickInterval = timeInterval(min, max, count || 5);
+    const ticks = [];
+    for (let time = ceilTime(min, tickInterval); time <= max; time = offsetTime(time, tickInterval, 1)) {
+      ticks.push(new Date(time));
+    }
+    return ticks;
+  };
+  scale.tickFormat = count => {
+    const unit = timeInterval(domain[0], domain[domain.length - 1], count || 5)[0];
+    return value => formatTime(new Date(toTime(value)), unit);
+  };
+  return scale;
+}
+
+/**
+ * Pick the calendar interval giving about count ticks between start and stop
+ */
+function timeInterval(start, stop, count) {
+  const target = Math.abs(stop - start) / Math.max(1, count);
+  const last = TIME_INTERVALS[TIME_INTERVALS.length - 1];
+  if (target > last[2]) {
+    const years = tickStep(0, target / last[2], 1);
+    return ['year', Math.max(1, years)];
+  }
+  
+  let best = TIME_INTERVALS[0];
+  TIME_INTERVALS.forEach(interval => {
+    if (Math.abs(Math.log(interval[2] / target)) < Math.abs(Math.log(best[2] / target))) {
+      best = interval;
+    }
+  });
+  return [best[0], best[1]];
+}
+
+function floorTime(time, [unit, step]) {
+  const date = new Date(time);
+  switch (unit) {
+    case 'second':
+      date.setMilliseconds(0);
+      date.setSeconds(Math.floor(date.getSeconds() / step) * step);
+      break;
+    case 'minute':
+      date.setSeconds(0, 0);
+      date.setMinutes(Math.floor(date.getMinutes() / step) * step);
+      break;
+    case 'hour':
+      date.setMinutes(0, 0, 0);
+      date.setHours(Math.floor(date.getHours() / step) * step);
+      break;
+    case 'day':
+      date.setHours(0, 0, 0, 0);
+      date.setDate(Math.floor((date.getDate() - 1) / step) * step + 1);
+      break;
+    case 'week':
+      date.setHours(0, 0, 0, 0);
+      date.setDate(date.getDate() - date.getDay());
+      break;
+    case 'month':
+      date.setHours(0, 0, 0, 0);
+      date.setDate(1);
+      date.setMonth(Math.floor(date.getMonth() / step) * step);
+      break;
+    default:
+      date.setHours(0, 0, 0, 0);
+      date.setMonth(0, 1);
+      date.setFullYear(Math.floor(date.getFullYear() / step) * step);
+  }
+  return date.getTime();
+}
+
+function ceilTime(time, interval) {
+  const floored = floorTime(time, interval);
+  return floored < time ? offsetTime(floored, interval, 1) : floored;
+}
+
+function offsetTime(time, [unit, step], count) {
+  const date = new Date(time);
+  const amount = step * count;
+  switch (unit) {
+    case 'second': date.setSeconds(date.getSeconds() + amount); break;
+    case 'minute': date.setMinutes(date.getMinutes() + amount); break;
+    case 'hour': date.setHours(date.getHours() + amount); break;
+    case 'day': date.setDate(date.getDate() + amount); break;
+    case 'week': date.setDate(date.getDate() + amount * 7); break;
+    case 'month': date.setMonth(date.getMonth() + amount); break;
+    default: date.setFullYear(date.getFullYear() + amount);
+  }
+  return date.getTime();
+}
+
+function formatTime(date, unit) {
+  const pad = value => String(value).padStart(2, '0');
+  const clock = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  switch (unit) {
+    case 'second': return `${clock}:${pad(date.getSeconds())}`;
+    case 'minute':
+    case 'hour': return clock;
+    case 'day':
+    case 'week': return `${MONTHS[date.getMonth()]} ${date.getDate()}`;
+    case 'month': return `${MONTHS[date.getMonth()]} ${date.getFullYear()}`;
+    default: return String(date.getFullYear());
+  }
+}
+
+/**
+ * Band scale: each category gets an equal band; scale(value) is the band start
+ * padding sets both paddingInner (between bands) and paddingOuter (at the ends)
+ */
+function bandScale(options = {}) {
+  const domain = options.domain || [];
+  const [r0, r1] = resolveRange({ ...options, reverse: false });
+  const paddingInner = options.paddingInner !== undefined ? options.paddingInner
+    : (options.padding !== undefined ? options.padding : 0.1);
+  const paddingOuter = options.paddingOuter !== undefined ? options.paddingOuter
+    : (options.padding !== undefined ? options.padding : 0.1);
+  const count = domain.length;
+  const span = r1 - r0;
+  const step = span / Math.max(1, count - paddingInner + paddingOuter * 2);
+  const start = r0 + (span - step * (count - paddingInner)) / 2;
+  const bandwidth = step * (1 - paddingInner);
+  const index = new Map(domain.map((value, i) => [value, i]));
+  
+  const scale = value => {
+    if (!index.has(value)) return NaN;
+    const i = options.reverse ? count - 1 - index.get(value) : index.get(value);
+    return start + step * i;
+  };
+  scale.type = 'band';
+  scale.domain = domain;
+  scale.range = options.reverse ? [r1, r0] : [r0, r1];
+  scale.step = () => step;
+  scale.bandwidth = () => bandwidth;
+  scale.ticks = () => domain.slice();
+  scale.tickFormat = () => value => String(value);
+  return scale;
+}
+
+/**
+ * Ordinal scale: categories map to an explicit list of outputs (cycling), or
+ * to evenly spaced points across range when no outputs are given
+ */
+function ordinalScale(options = {}) {
+  const domain = options.domain || [];
+  const index = new Map(domain.map((value, i) => [value, i]));
+  const outputs = options.outputs || null;
+  let points = null;
+  
+  if (!outputs) {
+    const [r0, r1] = resolveRange(options);
+    const padding = options.padding !== undefined ? options.padding : 0.5;
+    const step = (r1 - r0) / Math.max(1, domain.length - 1 + padding * 2);
+    points = domain.map((value, i) => (domain.length === 1 ? (r0 + r1) / 2 : r0 + step * (padding + i)));
+  }
+  
+  const scale = value => {
+    if (!index.has(value)) return outputs ? undefined : NaN;
+    const i = index.get(value);
+    return outputs ? outputs[i % outputs.length] : points[i];
+  };
+  scale.type = 'ordinal';
+  scale.domain = domain;
+  scale.range = outputs || resolveRange(options);
+  scale.bandwidth = () => 0;
+  scale.ticks = () => domain.slice();
+  scale.tickFormat = () => value => String(value);
+  return scale;
+}
+
+function continuousDomain(options) {
+  let domain = options.domain || [0, 1];
+  if (options.zero) {
+    domain = [Math.min(0, domain[0]), Math.max(0, domain[domain.length - 1])];
+  }
+  if (options.nice) {
+    domain = niceLinear(domain, typeof options.nice === 'number' ? options.nice : 5);
+  }
+  return domain;
+}
+
+const scaleFactories = {
+  linear: linearScale,
+  log: logScale,
+  pow: powScale,
+  sqrt: sqrtScale,
+  time: timeScale,
+  band: bandScale,
+  ordinal: ordinalScale
+};
+
+/**
+ * Build a scale from a spec and the data values it will encode
+ * spec: a type name or { type, domain, range, nice, clamp, padding, reverse, zero, base, exponent }
+ * The domain is derived from values unless given; range falls back to defaultRange.
+ * Non-numeric ranges (e.g. colors) turn categorical scales into lookups.
+ */
+function createScale(spec, values = [], defaultRange = [0, 1]) {
+  const options = typeof spec === 'string' ? { type: spec } : { ...spec };
+  const present = values.filter(value => value !== undefined && value !== null && value !== '');
+  const type = options.type || inferScaleType(present);
+  const factory = scaleFactories[type];
+  if (!factory) {
+    throw new Error(`Unknown scale type: ${type}`);
+  }
+  
+  if (type === 'band' || type === 'ordinal') {
+    if (!options.domain) {
+      options.domain = unique(present);
+      if (options.sort) options.domain.sort();
+    }
+    if (options.range && typeof options.range[0] !== 'number') {
+      options.outputs = options.range;
+      delete options.range;
+    }
+  } else if (!options.domain) {
+    const numbers = type === 'time' ? present.map(toTime) : present.map(Number);
+    let domain = extent(numbers.filter(value => !isNaN(value)));
+    if (type === 'log') {
+      const positive = numbers.filter(value => value > 0);
+      domain = positive.length > 0 ? extent(positive) : [1, options.base || 10];
+    }
+    options.domain = domain;
+  }
+  
+  if (!options.range && !options.outputs) {
+    options.range = defaultRange;
+  }
+  return factory(options);
+}
+
+/**
+ * Dates become time scales, numbers linear, anything else ordinal
+ */
+function inferScaleType(values) {
+  if (values.length === 0) return 'linear';
+  if (values.every(value => value instanceof Date)) return 'time';
+  if (values.every(value => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(value)))) {
+    return 'linear';
+  }
+  return 'ordinal';
+}
+
+export {
+  createScale,
+  linearScale,
+  logScale,
+  powScale,
+  sqrtScale,
+  timeScale,
+  bandScale,
+  ordinalScale,
+  scaleFactories,
+  tickStep
+};
@@ -0,0 +1,82 @@
+/**
+ * CameraTour - input locking when tours are played through the scene
+ * Runs with node --test; the scene is a bare ParallaxScene prototype with
+ * a ManualClock, so no DOM is needed for tours without captions.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ParallaxScene from '../src/ParallaxScene.js';
+import ManualClock from '../src/ManualClock.js';
+
+function createScene() {
+  const scene = Object.create(ParallaxScene.prototype);
+  Object.assign(scene, {
+    camera: { x: 0, y: 0, zoom: 1, panX: 0, panY: 0 },
+    clock: new ManualClock(),
+    cameraTransition: null,
+    focusTransition: null,
+    inputLocked: false,
+    tour: null,
+    wake() {},
+    emit() {},
+    isReducedMotion() {
+      return false;
+    }
+  });
+  return scene;
+}
+
+// Advance transitions and timers, then let the tours' awaits run
+async function step(scene, deltaTime) {
+  scene.clock.advance(deltaTime);
+  scene.updateTransitions(deltaTime);
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+}
+
+const keyframes = [
+  { x: 0.5, duration: 100, hold: 100 },
+  { x: -0.5, duration: 100 }
+];
+
+test('a tour locks input while playing and restores it when done', async () => {
+  const scene = createScene();
+  const finished = scene.playTour(keyframes);
+  assert.equal(scene.inputLocked, true);
+  
+  for (let i = 0; i < 10; i++) {
+    await step(scene, 50);
+  }
+  assert.equal(await finished, true);
+  assert.equal(scene.inputLocked, false);
+});
+
+test('a tour replacing another keeps input locked and restores the original state', async () => {
+  const scene = createScene();
+  const first = scene.playTour(keyframes);
+  await step(scene, 50);
+  
+  const second = scene.playTour(keyframes);
+  assert.equal(await first, false);
+  assert.equal(scene.inputLocked, true);
+  
+  for (let i = 0; i < 10; i++) {
+    await step(scene, 50);
+    if (scene.tour && scene.tour.playing) {
+      assert.equal(scene.inputLocked, true);
+    }
+  }
+  assert.equal(await second, true);
+  assert.equal(scene.inputLocked, false);
+});
+
+test('stopping a tour restores input locked before it started', async () => {
+  const scene = createScene();
+  scene.inputLocked = true;
+  const finished = scene.playTour(keyframes, { lockInput: false });
+  await step(scene, 50);
+  scene.stopTour();
+  assert.equal(await finished, false);
+  assert.equal(scene.inputLocked, true);
+});